@@ -0,0 +1,18 @@
+/**
+ * MOCK PAGE HELPERS
+ * ------------------------------------------------
+ * Shared by the mock sites in mock/server.js and mock/indeed.js.
+ */
+
+const escapeHtml = (text) => String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+
+function htmlPage(title, nav, body) {
+    return `<!DOCTYPE html>
+<html><head><meta charset="utf-8"><title>${escapeHtml(title)}</title></head>
+<body>
+<nav>${nav}</nav>
+<main>${body}</main>
+</body></html>`;
+}
+
+module.exports = { escapeHtml, htmlPage };
@@ -0,0 +1,76 @@
+/**
+ * MOCK INDEED PAGES
+ * ------------------------------------------------
+ * Served by mock/server.js with --site indeed, rendered from
+ * mock/fixtures/indeed.json: company search (/companies/search?q=), and
+ * review listings at /cmp/<slug>/reviews paged with ?start=<offset> (20 per
+ * page, as on the live site) through a Next link that is left out on the
+ * last page. Cards carry the schema.org microdata the adapter reads.
+ */
+
+const { escapeHtml, htmlPage } = require('./html');
+
+const PAGE_SIZE = 20;
+const tokens = (text) => text.toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+
+function indeedLayout(title, body) {
+    return htmlPage(title, '<a href="/">Indeed</a> <a href="/companies">Company reviews</a>', body);
+}
+
+function reviewCard(company, review) {
+    const author = [`${review.role} (${review.status})`, review.location, review.date].filter(Boolean).join(' - ');
+    const subRatings = Object.entries(review.subRatings || {})
+        .map(([label, value]) => `<div><span>${escapeHtml(label)}</span><span aria-label="${value} out of 5 stars."></span></div>`).join('');
+    const section = (label, text) => (text ? `<div><h3>${label}</h3><span>${escapeHtml(text)}</span></div>` : '');
+
+    return `<div itemprop="review" itemscope itemtype="http://schema.org/Review" data-tn-entityid="review-${review.id}">
+<div itemprop="reviewRating" itemscope><meta itemprop="ratingValue" content="${review.rating.toFixed(1)}"><button aria-label="${review.rating} out of 5 stars."></button></div>
+<div data-testid="subRatings">${subRatings}</div>
+<h2 data-testid="title"><a href="/cmp/${company.slug}/reviews/${escapeHtml(review.title.toLowerCase().replace(/[^a-z0-9]+/g, '-'))}?id=${review.id}"><span>${escapeHtml(review.title)}</span></a></h2>
+<span itemprop="author" data-testid="reviewer">${escapeHtml(author)}</span>
+<span itemprop="reviewBody"><span>${escapeHtml(review.body)}</span></span>
+${section('Pros', review.pros)}${section('Cons', review.cons)}
+<div>Was this review helpful?</div>
+</div>`;
+}
+
+function reviewsPage(company, pageIndex, query) {
+    const reviews = company.pages[pageIndex];
+    const next = new URLSearchParams(query);
+    next.set('start', String((pageIndex + 1) * PAGE_SIZE));
+    const nextLink = pageIndex + 1 < company.pages.length
+        ? `<nav aria-label="pagination"><a data-testid="next-page" aria-label="Next Page" href="/cmp/${company.slug}/reviews?${next}">Next</a></nav>`
+        : '';
+    return indeedLayout(`Working at ${company.name}: Employee Reviews | Indeed.com`, `
+<h1>${escapeHtml(company.name)} Employee Reviews</h1>
+<div data-testid="reviewsList">${reviews.map(r => reviewCard(company, r)).join('\n')}</div>
+${nextLink}`);
+}
+
+function searchResults(companies, query) {
+    const wanted = tokens(query);
+    const matches = companies.filter(c => tokens(c.name).some(t => wanted.includes(t)));
+    if (matches.length === 0) {
+        return indeedLayout('Find companies | Indeed', `<h1>Companies</h1><p>No results found for "${escapeHtml(query)}".</p>`);
+    }
+    const cards = matches.map(c => `<section><a data-testid="companyName" href="/cmp/${c.slug}">${escapeHtml(c.name)}</a>
+<a href="/cmp/${c.slug}/reviews">${c.pages.flat().length} reviews</a></section>`);
+    return indeedLayout('Find companies | Indeed', `<h1>Companies</h1>${cards.join('\n')}`);
+}
+
+// URL -> HTML for the Indeed content pages, or null for a 404
+function indeedRoutes(companies) {
+    const bySlug = new Map(companies.map(c => [c.slug, c]));
+    return (url) => {
+        if (url.pathname === '/companies/search') return searchResults(companies, url.searchParams.get('q') || '');
+        const reviews = url.pathname.match(/^\/cmp\/([^/]+)\/reviews$/);
+        if (reviews && bySlug.has(reviews[1])) {
+            const company = bySlug.get(reviews[1]);
+            const pageIndex = Math.floor(Number(url.searchParams.get('start') || 0) / PAGE_SIZE);
+            if (pageIndex < company.pages.length) return reviewsPage(company, pageIndex, url.searchParams);
+        }
+        return null;
+    };
+}
+
+module.exports = { indeedLayout, indeedRoutes };
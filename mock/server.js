@@ -0,0 +1,214 @@
+/**
+ * MOCK REVIEW SITES
+ * ------------------------------------------------
+ * Local stand-in for the pages each source adapter walks through.
+ * --site glassdoor (default), rendered from mock/fixtures/glassdoor.json:
+ * homepage, login page, Reviews search, search results (several similar
+ * names, and two Cenovus Energy listings that tie), company Overview with a
+ * Reviews tab, and paginated review listings with "continue reading" links
+ * and a disabled Next button on the last page (Enbridge's has a review dated
+ * Feb 31, which the scraper must quarantine).
+ * --site indeed, rendered from mock/fixtures/indeed.json by mock/indeed.js.
+ *
+ * Scenarios (what the homepage does):
+ *   normal        serve everything
+ *   login         redirect to the login page until the form is submitted
+ *   blocked       403 "Access Denied"
+ *   rate_limited  429 "Too Many Requests"
+ *
+ * Usage: node mock/server.js [--port 4010] [--scenario normal] [--site glassdoor]
+ * then scrape with --base-url http://127.0.0.1:4010 (or --config mock/fixtures/config.json;
+ * for Indeed: --site indeed --port 4011 and --config mock/fixtures/indeed-config.json).
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const { escapeHtml, htmlPage } = require('./html');
+const { indeedLayout, indeedRoutes } = require('./indeed');
+
+const SCENARIOS = ['normal', 'login', 'blocked', 'rate_limited'];
+
+const slugFor = (name) => name.replace(/[^A-Za-z0-9]+/g, '-');
+const tokens = (text) => text.toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+
+function layout(title, body) {
+    return htmlPage(title, '<ul><li><a href="/index.htm">Home</a></li><li><a href="/Reviews/index.htm">Company Reviews</a></li></ul>', body);
+}
+
+// Long pros/cons are cut off behind a "continue reading" link, like the live site
+function truncated(text) {
+    if (text.length <= 60) return `<p>${escapeHtml(text)}</p>`;
+    const cut = text.lastIndexOf(' ', 50);
+    return `<p>${escapeHtml(text.slice(0, cut))}<span class="rest" style="display:none">${escapeHtml(text.slice(cut))}</span></p>
+<div class="review-details_continueReading" onclick="this.previousElementSibling.querySelector('.rest').style.display='inline'; this.remove();">Continue reading</div>`;
+}
+
+function reviewCard(company, review) {
+    const reviewer = [review.status && [review.status, review.tenure].filter(Boolean).join(', '), review.role && `${review.role} in ${review.location}`]
+        .filter(Boolean).join(' - ');
+    const subRatings = Object.entries(review.subRatings || {})
+        .map(([label, value]) => `<div><span>${escapeHtml(label)}</span><span class="stars" aria-label="${value} stars"></span></div>`).join('');
+    const indicators = Object.entries(review.indicators || {})
+        .map(([label, value]) => `<div><span>${escapeHtml(label)}</span><span class="icon" aria-label="${value}"></span></div>`).join('');
+    const advice = review.advice ? `<div>Advice to Management</div><p>${escapeHtml(review.advice)}</p>` : '';
+
+    return `<li class="review">
+<span class="ratingNumber">${review.rating.toFixed(1)}</span> <span>Star rating</span>
+<h2><a href="/Reviews/Employee-Review-${slugFor(company.name)}-${review.id}.htm">${escapeHtml(review.title)}</a></h2>
+<div>${escapeHtml(review.date)} - ${escapeHtml(reviewer)}</div>
+${subRatings}${indicators}
+<div>Pros</div>${truncated(review.pros)}
+<div>Cons</div>${truncated(review.cons)}
+${advice}
+<div>Helpful</div>
+</li>`;
+}
+
+function reviewsPage(company, pageNumber) {
+    const reviews = company.pages[pageNumber - 1];
+    const last = pageNumber === company.pages.length;
+    const base = `/Reviews/${slugFor(company.name)}-Reviews-E${company.employerId}`;
+    const next = last
+        ? '<button data-test="pagination-next" class="nextButton disabled" disabled>Next</button>'
+        : `<button data-test="pagination-next" onclick="location.href='${base}_P${pageNumber + 1}.htm'">Next</button>`;
+    return layout(`${company.name} Reviews | Glassdoor`, `
+<h1>${escapeHtml(company.name)} Employee Reviews</h1>
+<p>Page ${pageNumber} of ${company.pages.length}</p>
+<ol class="reviews">${reviews.map(r => reviewCard(company, r)).join('\n')}</ol>
+<div class="pagination">${next}</div>`);
+}
+
+function overviewPage(company) {
+    return layout(`Working at ${company.name} | Glassdoor`, `
+<h1>${escapeHtml(company.name)} Overview</h1>
+<a data-test="review-tab" href="/Reviews/${slugFor(company.name)}-Reviews-E${company.employerId}.htm">Reviews</a>`);
+}
+
+// The input is hidden behind a button until clicked, as on the live site
+function searchPage() {
+    return layout('Company Reviews | Glassdoor', `
+<button data-test="search-button" onclick="document.getElementById('search').style.display='block'; this.remove();">Search companies</button>
+<form id="search" action="/Search/results.htm" method="get" style="display:none">
+<input data-test="search-bar-keyword-input" id="sc.keyword" name="keyword" placeholder="Company">
+<button data-test="search-bar-submit" type="submit">Search</button>
+</form>`);
+}
+
+// Any company sharing a word with the query (or one of its aliases), so similar names show up together
+function searchResults(companies, query) {
+    const wanted = tokens(query);
+    const matches = companies.filter(c => [c.name, ...(c.searchAliases || [])].some(n => tokens(n).some(t => wanted.includes(t))));
+    if (matches.length === 0) {
+        return layout('Search | Glassdoor', `<h1>Companies</h1><p>No results found for "${escapeHtml(query)}".</p>`);
+    }
+    const cards = matches.map(c => `<li><a href="/Overview/Working-at-${slugFor(c.name)}-EI_IE${c.employerId}.11,${11 + c.name.length}.htm">
+<img alt="${escapeHtml(c.name)}"><h3 data-test="employer-short-name">${escapeHtml(c.name)}</h3>
+<span>${c.pages.flat().length} reviews</span></a></li>`);
+    return layout('Search | Glassdoor', `<h1>Companies</h1><ul>${cards.join('\n')}</ul>`);
+}
+
+// Content pages past the homepage/login; resolves a URL to HTML, or null for a 404
+function glassdoorRoutes(companies) {
+    const byEmployer = new Map(companies.map(c => [c.employerId, c]));
+    return (url) => {
+        if (url.pathname === '/Reviews/index.htm') return searchPage();
+        if (url.pathname === '/Search/results.htm') return searchResults(companies, url.searchParams.get('keyword') || '');
+
+        const overview = url.pathname.match(/^\/Overview\/Working-at-.+-EI_IE(\d+)\.[\d,]+\.htm$/);
+        if (overview && byEmployer.has(overview[1])) return overviewPage(byEmployer.get(overview[1]));
+
+        const reviews = url.pathname.match(/^\/Reviews\/.+-Reviews-E(\d+)(?:_P(\d+))?\.htm$/);
+        if (reviews && byEmployer.has(reviews[1])) {
+            const company = byEmployer.get(reviews[1]);
+            const pageNumber = reviews[2] ? Number(reviews[2]) : 1;
+            if (pageNumber <= company.pages.length) return reviewsPage(company, pageNumber);
+        }
+        return null;
+    };
+}
+
+// Per site: homepage paths, login page and form target, page layout and content routes
+const SITES = {
+    glassdoor: {
+        label: 'Glassdoor',
+        fixtures: path.join(__dirname, 'fixtures', 'glassdoor.json'),
+        home: ['/index.htm', '/'],
+        loginPage: '/profile/login_input.htm',
+        loginSubmit: '/profile/login',
+        layout,
+        routes: glassdoorRoutes
+    },
+    indeed: {
+        label: 'Indeed',
+        fixtures: path.join(__dirname, 'fixtures', 'indeed.json'),
+        home: ['/'],
+        loginPage: '/account/login',
+        loginSubmit: '/account/login/submit',
+        layout: indeedLayout,
+        routes: indeedRoutes
+    }
+};
+
+function createMockServer({ site = 'glassdoor', scenario = 'normal', fixtures = null } = {}) {
+    if (!SITES[site]) throw new Error(`Unknown site "${site}" (expected ${Object.keys(SITES).join(', ')})`);
+    if (!SCENARIOS.includes(scenario)) throw new Error(`Unknown scenario "${scenario}" (expected ${SCENARIOS.join(', ')})`);
+    const { label, home, loginPage, loginSubmit, layout: page, routes, fixtures: siteFixtures } = SITES[site];
+    const { companies } = JSON.parse(fs.readFileSync(fixtures || siteFixtures, 'utf8'));
+    const render = routes(companies);
+
+    return http.createServer((req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        const send = (status, html, headers = {}) => {
+            res.writeHead(status, { 'Content-Type': 'text/html; charset=utf-8', ...headers });
+            res.end(html);
+        };
+        const loggedIn = /(?:^|;\s*)mock_auth=1/.test(req.headers.cookie || '');
+
+        if (home.includes(url.pathname)) {
+            if (scenario === 'blocked') return send(403, '<html><head><title>Access Denied</title></head><body><h1>Access Denied</h1></body></html>');
+            if (scenario === 'rate_limited') return send(429, '<html><head><title>Too Many Requests</title></head><body>Too Many Requests</body></html>');
+            if (scenario === 'login' && !loggedIn) return send(302, '', { Location: loginPage });
+            return send(200, page(label, '<h1>Welcome back</h1>'));
+        }
+        if (url.pathname === loginPage) {
+            return send(200, page(`Sign In | ${label}`, `<form action="${loginSubmit}" method="post"><button type="submit">Sign In</button></form>`));
+        }
+        if (url.pathname === loginSubmit) {
+            return send(302, '', { Location: home[0], 'Set-Cookie': 'mock_auth=1; Path=/' });
+        }
+        const html = render(url);
+        if (html) return send(200, html);
+        return send(404, page(`Not Found | ${label}`, '<h1>Page not found</h1>'));
+    });
+}
+
+// Listen on 127.0.0.1 (port 0 picks a free one); resolves to { url, server, close }
+function startMockServer({ port = 0, ...options } = {}) {
+    return new Promise((resolve, reject) => {
+        const server = createMockServer(options);
+        server.once('error', reject);
+        server.listen(port, '127.0.0.1', () => {
+            resolve({
+                url: `http://127.0.0.1:${server.address().port}`,
+                server,
+                close: () => new Promise(done => server.close(done))
+            });
+        });
+    });
+}
+
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const option = (name, fallback) => (args.includes(name) ? args[args.indexOf(name) + 1] : fallback);
+    const site = option('--site', 'glassdoor');
+    startMockServer({ port: Number(option('--port', 4010)), scenario: option('--scenario', 'normal'), site })
+        .then(({ url }) => console.log(`Mock ${SITES[site].label} (${option('--scenario', 'normal')}) listening on ${url}`))
+        .catch((e) => {
+            console.error(e.message);
+            process.exitCode = 1;
+        });
+}
+
+module.exports = { SCENARIOS, SITES, createMockServer, startMockServer };
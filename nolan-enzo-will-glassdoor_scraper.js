@@ -4,434 +4,247 @@
  * 1. Uses a "Persistent Context" to save login.
  * 2. SEARCHES for each company manually to avoid bad link redirects.
  * 3. Scrapes data using TEXT CONTENT matching (Pros/Cons) to bypass dynamic classes.
+ *
+ * Usage: node nolan-enzo-will-glassdoor_scraper.js [scrape|replay|export|status|doctor|enrich|aggregate] [options]
+ * Run with --help for the full list of flags. Companies and paths come from
+ * --config (JSON/YAML) or the defaults in scraper/config.js; --source indeed
+ * collects the same companies from Indeed instead (see scraper/sources/).
+ *
+ * require() it for the library instead: createScraper() and the review sinks
+ * (see scraper/scraper.js). Nothing runs on require.
  */
 
-const { chromium } = require('playwright');
-const fs = require('fs');
 const path = require('path');
-
-// --- CONFIGURATION ---
-const OUTPUT_FILE = 'glassdoor_data.json';
-const DEBUG_DIR = 'debug_images'; // Folder for screenshots to debug
-const MAX_PAGES_PER_COMPANY = 30; // ~300 reviews/company
-
-// TOP 20 ALBERTA OIL & GAS COMPANIES (Publicly Traded)
-const TARGET_COMPANIES = [
-    'Enbridge',
-    'Canadian Natural Resources',
-    'Suncor Energy',
-    'TC Energy',
-    'Cenovus Energy',
-    'Imperial Oil',
-    'Pembina Pipeline',
-    'Tourmaline Oil',
-    'ARC Resources',
-    'MEG Energy',
-    'Whitecap Resources',
-    'Strathcona Resources', 
-    'Keyera',
-    'Gibson Energy',
-    'Vermilion Energy',
-    'Baytex Energy',
-    'Paramount Resources',
-    'Peyto Exploration & Development',
-    'Athabasca Oil',
-    'NuVista Energy'
-];
-
-function saveData(newData) {
-    let existing = [];
-    if (fs.existsSync(OUTPUT_FILE)) {
-        try { existing = JSON.parse(fs.readFileSync(OUTPUT_FILE)); } catch (e) {}
-    }
-    const combined = [...existing, ...newData];
-    fs.writeFileSync(OUTPUT_FILE, JSON.stringify(combined, null, 2));
+const { replayFiles, withSavedPages, listDumps } = require('./scraper/replay');
+const { resolveConfig, loadConfigFile } = require('./scraper/config');
+const { parseArgs, USAGE, UsageError } = require('./scraper/cli');
+const { loadData, saveData, resetData, writeAtomic, loadQuarantine, saveQuarantine } = require('./scraper/store');
+const { exportRecords, toCsv } = require('./scraper/export');
+const { isIsoDate } = require('./scraper/dates');
+const { log, configureLogger } = require('./scraper/logger');
+const { loadEmployerCache, employerCacheKey } = require('./scraper/resolver');
+const { getSource } = require('./scraper/sources');
+const { diagnosePage, formatDiagnosis } = require('./scraper/doctor');
+const { EXIT_CODES, PageStateError } = require('./scraper/pagestate');
+const { createScraper, persistReviews, reportQuality } = require('./scraper/scraper');
+const { jsonlSink, memorySink, callbackSink } = require('./scraper/sinks');
+const { loadLexicon, scoreReview } = require('./scraper/sentiment');
+const { loadPrices, buildPanel } = require('./scraper/panel');
+
+// How an error ends the command: { status, reason, exitCode } (plus url for page states)
+function failureOutcome(e) {
+    if (e instanceof PageStateError) return { status: e.state, reason: e.reason, url: e.url, exitCode: e.exitCode };
+    const usage = e instanceof UsageError;
+    return { status: usage ? 'usage' : 'error', reason: e.message, exitCode: usage ? EXIT_CODES.usage : EXIT_CODES.error };
 }
 
-// Ensure debug directory exists
-if (!fs.existsSync(DEBUG_DIR)) {
-    fs.mkdirSync(DEBUG_DIR);
+function logFailure(e) {
+    if (e instanceof UsageError) log.error(`${e.message}\n\n${USAGE}`);
+    else log.error(`--- FATAL: ${e.message} ---`);
 }
 
-// RESET DATA FILE (Critical to prevent reading old/empty data)
-if (fs.existsSync(OUTPUT_FILE)) {
-    try { fs.unlinkSync(OUTPUT_FILE); console.log("Deleted old data file."); } catch(e) {}
+// Thin wrapper over the library: scrape every configured company and exit with the outcome's code
+async function runScrape(config, options) {
+    let scraper = null;
+    let outcome;
+    try {
+        scraper = createScraper(options);
+        outcome = await scraper.run();
+    } catch (e) {
+        if (!(e instanceof PageStateError)) logFailure(e); // Page states are already logged and in the manifest
+        outcome = failureOutcome(e);
+    }
+    // With --non-interactive, one JSON line on stdout says how the run ended, however it ended
+    if (config.nonInteractive) console.log(JSON.stringify({ ...outcome, manifest: scraper ? scraper.manifestFile : null }));
+    process.exitCode = outcome.exitCode;
 }
 
-async function scrapeGlassdoor() {
-    // FOLDER TO STORE LOGIN DATA
-    const userDataDir = 'glassdoor_auth';
-
-    console.error("--- LAUNCHING BROWSER ---");
-    
-    // USE PERSISTENT CONTEXT
-    const context = await chromium.launchPersistentContext(userDataDir, {
-        headless: false,
-        viewport: { width: 1920, height: 1080 }, // Desktop resolution
-        args: [
-            '--disable-blink-features=AutomationControlled', 
-            '--no-sandbox', 
-            '--disable-setuid-sandbox',
-            '--disable-infobars',
-            '--window-position=0,0'
-        ],
-        userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
-    });
-
-    // FIX: Reuse the default page instead of closing it
-    const page = context.pages().length > 0 ? context.pages()[0] : await context.newPage();
-
-    // STEP 1: Go to Homepage
-    console.error("1. Navigating to Glassdoor Homepage...");
+// A scrape asking for the result line (by flag or in its config file), for failures before runScrape
+function wantsResultLine(argv) {
     try {
-        await page.goto('https://www.glassdoor.ca/index.htm', { timeout: 60000, waitUntil: 'domcontentloaded' });
+        const { command, options } = parseArgs(argv);
+        if (command && command !== 'scrape') return false;
+        return Boolean(options.nonInteractive || (options.config && loadConfigFile(options.config).nonInteractive));
     } catch (e) {
-        console.error("   ! Error loading homepage. You might be IP blocked.");
+        return argv.includes('--non-interactive');
     }
+}
 
-    // Check blocked status
-    const title = await page.title();
-    if (title.includes("Access Denied") || title.includes("Cloudflare")) {
-        console.error("--- BLOCKED BY FIREWALL ---");
-        console.error("Please manually solve the CAPTCHA now.");
-        await page.waitForTimeout(30000); 
+// Re-parse saved pages instead of visiting the site. Replacing the source's reviews already in the
+// store (and its quarantine entries) takes --fresh; other sources' records are kept either way.
+async function replayDebugDir(config, options) {
+    const source = getSource(config.source);
+    const ofSource = (record) => (record.source || 'glassdoor') === source.name;
+    const records = loadData(config.store);
+    const quarantine = loadQuarantine(config.quarantineFile);
+    const existing = records.filter(ofSource).length + quarantine.filter(q => q.record && ofSource(q.record)).length;
+    if (existing > 0 && !options.fresh) {
+        throw new UsageError(`${config.store} already holds ${source.label} reviews. Pass --fresh to rebuild them from the saved pages, or --store/--quarantine to replay into other files.`);
     }
 
-    // STEP 2: Check Login State
-    console.error("2. Checking Login Status...");
-    await page.waitForTimeout(3000);
-
-    const isLoginPage = page.url().includes('login') || page.url().includes('signin') || page.url().includes('Account');
-    
-    if (isLoginPage) {
-        console.error("--- LOGIN REQUIRED ---");
-        console.error("   Please manually click 'Sign In' (top right) and log in.");
-        console.error("   Waiting up to 120 seconds...");
-        
-        try {
-            await page.waitForFunction(() => {
-                const url = window.location.href;
-                return !url.includes('login') && !url.includes('signin') && !url.includes('Account');
-            }, null, { timeout: 120000 });
-            console.error("--- Login Detected! ---");
-            await page.waitForTimeout(3000); 
-        } catch (e) {
-            console.error("--- Timeout waiting for login. Attempting to proceed... ---");
-        }
-    } else {
-        console.error("--- ALREADY LOGGED IN (Session Loaded) ---");
+    const files = listDumps(config.debugDir, source.dumpPrefix);
+    log.info(`--- REPLAYING ${files.length} SAVED ${source.label.toUpperCase()} PAGES FROM ${config.debugDir} ---`);
+    if (existing > 0) {
+        const others = records.filter(r => !ofSource(r));
+        resetData(config.store);
+        if (others.length > 0) saveData(config.store, others);
+        saveQuarantine(config.quarantineFile, quarantine.filter(q => !(q.record && ofSource(q.record))));
     }
 
-    // SCRAPING LOOP (SEARCH BASED)
-    for (const companyName of TARGET_COMPANIES) {
-        console.error(`\nTargeting: ${companyName}`);
-        
-        try {
-            // A. Go to Reviews Search Page
-            await page.goto('https://www.glassdoor.ca/Reviews/index.htm', { waitUntil: 'domcontentloaded' });
-            await page.waitForTimeout(2000);
-
-            // B. Type Company Name
-            console.error(`   Searching for "${companyName}"...`);
-            
-            // FIX: Handle the Search Button/Input Interception
-            const searchButtonTrigger = page.locator('button[data-test="search-button"]').first();
-            const searchInput = page.locator('input[data-test="search-bar-keyword-input"], input[id="sc.keyword"], input[placeholder*="Company"]').first();
-            
-            // 1. Click the "fake" button if it exists to activate the field
-            if (await searchButtonTrigger.isVisible()) {
-                 await searchButtonTrigger.click();
-                 await page.waitForTimeout(500);
-            }
-
-            // 2. Force click the input (bypasses any remaining overlays)
-            if (await searchInput.isVisible()) {
-                await searchInput.click({ force: true });
-                await searchInput.fill('');
-                await searchInput.fill(companyName);
-                await page.waitForTimeout(500);
-                
-                // 3. Submit
-                const submitBtn = page.locator('button[data-test="search-bar-submit"], button[type="submit"]').first();
-                if (await submitBtn.isVisible()) {
-                    await submitBtn.click();
-                } else {
-                    await page.keyboard.press('Enter');
-                }
-                
-                // --- RESULT SELECTION FIX ---
-                console.error("   Waiting for search results...");
-                await page.waitForLoadState('domcontentloaded');
-                await page.waitForTimeout(3000); 
-
-                // Based on screenshots, we have a "Companies" header and cards below it.
-                // We want to grab the HREF and navigate manually to avoid "new tab" issues.
-                
-                let targetUrl = null;
-                const firstWord = companyName.split(' ')[0]; // "Suncor", "Canadian", etc.
-
-                try {
-                    // Strategy 1: Find a Heading or Link with the exact company name text
-                    const exactLink = page.getByRole('link', { name: companyName, exact: false }).first();
-                    
-                    // Strategy 2: Find a link starting with the first word
-                    const partialLink = page.getByRole('link', { name: firstWord, exact: false }).first();
-
-                    // Strategy 3: Find image link
-                    const logoLink = page.locator('div#MainCol a:has(img)').first();
-
-                    if (await exactLink.isVisible()) {
-                        targetUrl = await exactLink.getAttribute('href');
-                        console.error(`   Found exact match URL: ${targetUrl}`);
-                    } else if (await partialLink.isVisible()) {
-                        targetUrl = await partialLink.getAttribute('href');
-                        console.error(`   Found partial match URL: ${targetUrl}`);
-                    } else if (await logoLink.isVisible()) {
-                        targetUrl = await logoLink.getAttribute('href');
-                        console.error(`   Found logo URL: ${targetUrl}`);
-                    }
-                } catch(err) {
-                    console.error("   Link finding failed: " + err.message);
-                }
-
-                if (targetUrl) {
-                    // FIX: Ensure URL is absolute before navigating
-                    if (targetUrl.startsWith('/')) {
-                        targetUrl = `https://www.glassdoor.ca${targetUrl}`;
-                    }
-                    
-                    console.error(`   Navigating to Company Page: ${targetUrl}`);
-                    await page.goto(targetUrl, { waitUntil: 'domcontentloaded' });
-                } else {
-                    console.error("   ! Could not identify a result. Saving screenshot.");
-                    const shotPath = path.join(DEBUG_DIR, `debug_results_missing_${companyName.replace(/\s/g, '')}.png`);
-                    await page.screenshot({ path: shotPath });
-                    continue;
-                }
-
-                await page.waitForTimeout(3000);
-                
-                // E. Ensure we are on the REVIEWS tab
-                // CRITICAL FIX: Don't pick the link if it goes to "Reviews/index.htm" (that's the global nav)
-                if (!page.url().includes('Reviews') || page.url().includes('Overview')) {
-                    console.error("   Switching to Reviews tab...");
-                    
-                    // Get all potential review links
-                    const reviewLinks = await page.locator('a[href*="/Reviews/"], a[data-test="review-tab"]').all();
-                    let validReviewUrl = null;
-
-                    for (const link of reviewLinks) {
-                        const href = await link.getAttribute('href');
-                        if (href && !href.includes('Reviews/index.htm') && href.includes('Reviews-E')) {
-                            validReviewUrl = href;
-                            break; // Found the specific company review link
-                        }
-                    }
-                    
-                    if (validReviewUrl) {
-                        if (validReviewUrl.startsWith('/')) {
-                            validReviewUrl = `https://www.glassdoor.ca${validReviewUrl}`;
-                        }
-                        console.error(`   Navigating to Reviews URL: ${validReviewUrl}`);
-                        await page.goto(validReviewUrl, { waitUntil: 'domcontentloaded' });
-                        await page.waitForTimeout(2000);
-                    } else {
-                        console.error("   ! Could not find specific Company Reviews tab. Staying on current page.");
-                    }
-                }
-
-            } else {
-                console.error("   ! Could not find search input. Skipping.");
-                await page.screenshot({ path: path.join(DEBUG_DIR, `debug_no_search_input.png`) });
-                continue;
-            }
-
-        } catch (e) {
-            console.error(`   ! Search failed for ${companyName}: ${e.message}`);
-            try { 
-                await page.screenshot({ path: path.join(DEBUG_DIR, `debug_search_fail_${companyName.replace(/\s/g, '')}.png`) }); 
-            } catch(err) {
-                console.error("   ! Screenshot failed: " + err.message);
-            }
-            continue;
+    const totals = { added: 0, duplicates: 0, quarantined: 0 };
+    // Employers for dumps saved before pages carried their URL
+    const cache = config.employerCache ? loadEmployerCache(config.employerCache) : {};
+    const employers = {};
+    for (const { name } of config.companies) {
+        const cached = cache[employerCacheKey(source.name, name)];
+        if (cached) employers[name] = { employerId: cached.employerId, url: cached.reviewsUrl };
+    }
+    await replayFiles(files, {
+        companies: config.companies.map(c => c.name),
+        employers,
+        source,
+        onPage: async (pageReviews) => {
+            if (pageReviews.length === 0) return;
+            const result = await persistReviews(config, pageReviews);
+            for (const key of Object.keys(totals)) totals[key] += result[key];
         }
-        
-        // D. SCRAPE PAGES
-        for (let i = 0; i < MAX_PAGES_PER_COMPANY; i++) {
-            console.error(`   Scraping Page ${i + 1}...`);
-            
-            // FIX: Scroll DEEPER to skip the "Highlights" section
-            await page.evaluate(() => window.scrollBy(0, 4000));
-            await page.waitForTimeout(3000 + Math.random() * 2000); 
-
-            // Expand Text
-            try {
-                const showMoreButtons = await page.locator('div[class*="continueReading"], button.showMore').all();
-                for (const btn of showMoreButtons) {
-                    if (await btn.isVisible()) {
-                        await btn.click(); 
-                        await page.waitForTimeout(200); 
-                    }
-                }
-            } catch (e) {}
-
-            // Extract Data - UPDATED WITH TEXT-BASED EXTRACTION
-            const reviews = await page.$$eval('*', (allItems) => {
-                // INTERNAL HELPER TO EXTRACT DATA
-                // We define it inside the browser context
-                const parseReviewCard = (card) => {
-                    const text = card.innerText || "";
-                    
-                    // FILTER GARBAGE:
-                    if (text.includes("(in ") && text.includes("reviews)")) return null;
-                    if (text.length < 50) return null;
-                    if (!text.includes("Star") && !card.querySelector('.ratingNumber') && !card.querySelector('span[class*="rating"]')) return null;
-
-                    // Helper to get block of text between keywords
-                    const getSection = (startKeyword, endKeywords) => {
-                        if (!text.includes(startKeyword)) return null;
-                        
-                        let startIndex = text.indexOf(startKeyword) + startKeyword.length;
-                        let endIndex = text.length;
-
-                        // Find the nearest end keyword
-                        for (const key of endKeywords) {
-                            const idx = text.indexOf(key, startIndex);
-                            if (idx !== -1 && idx < endIndex) {
-                                endIndex = idx;
-                            }
-                        }
-                        
-                        return text.substring(startIndex, endIndex).replace(/[:\-\.]/g, '').trim();
-                    };
-
-                    // Try to find rating
-                    let rating = null;
-                    const ratingEl = card.querySelector('.ratingNumber') || card.querySelector('span[class*="rating"]');
-                    if (ratingEl) rating = ratingEl.innerText.trim();
-                    if (!rating) {
-                        const match = text.match(/^[0-5]\.\d/);
-                        if (match) rating = match[0];
-                    }
-
-                    // Extract Date explicitly using Regex (e.g. "Nov 28, 2025")
-                    let date = null;
-                    // Regex looks for "Month DD, YYYY" pattern
-                    const dateMatch = text.match(/([A-Z][a-z]{2,9}\s\d{1,2},\s\d{4})/);
-                    if (dateMatch) {
-                        date = dateMatch[1];
-                    }
-
-                    // Extract Title (Clickable link usually)
-                    let title = null;
-                    const link = card.querySelector('a[href*="/Reviews/Employee-Review"]');
-                    if (link) {
-                        title = link.innerText.trim();
-                    }
-
-                    // Extract Job Title / Status (e.g. "Current Employee")
-                    // Usually appears right after the date text
-                    let jobTitle = null;
-                    if (date) {
-                        // Find text line containing the date
-                        const lines = text.split('\n');
-                        const dateLine = lines.find(l => l.includes(date));
-                        if (dateLine) {
-                            // Often looks like "Nov 28, 2025 - Current Employee - Engineer"
-                            jobTitle = dateLine.replace(date, '').replace(/^[\s\-\|]+/, '').trim();
-                        }
-                    }
-
-                    // Extract Pros / Cons using keyword boundaries
-                    let pros = getSection('Pros', ['Cons', 'Advice to Management', 'Helpful']);
-                    let cons = getSection('Cons', ['Advice to Management', 'Helpful']);
-                    let advice = getSection('Advice to Management', ['Helpful']);
-
-                    // Only return if valid review
-                    if (rating && (pros || cons || title)) {
-                        return { rating, date, title, job_title: jobTitle, pros, cons, advice };
-                    }
-                    return null;
-                };
-
-                // 1. Try "Li" elements first (Standard)
-                let candidates = Array.from(document.querySelectorAll('li'));
-                
-                // 2. If filtering yields nothing, try "Divs" with specific text (Fallback)
-                let results = candidates.map(parseReviewCard).filter(r => r !== null);
-
-                if (results.length === 0) {
-                    const divs = Array.from(document.querySelectorAll('div'));
-                    const reviewDivs = divs.filter(d => d.innerText.includes('Pros') && d.innerText.includes('Cons') && d.innerText.length < 2000);
-                    const uniqueDivs = reviewDivs.filter(d => !reviewDivs.some(other => other !== d && other.contains(d)));
-                    results = uniqueDivs.map(parseReviewCard).filter(r => r !== null);
-                }
+    });
+    log.info(`--- Replay Finished: ${totals.added} reviews written to ${config.store} (${totals.duplicates} duplicates dropped, ${totals.quarantined} quarantined) ---`);
+    reportQuality(config);
+}
 
-                return results;
-            });
+// Check the selector registry and parse strategies against saved pages
+async function runDoctor(config, options) {
+    const source = getSource(config.source);
+    const files = options.page ? [options.page] : listDumps(config.debugDir, source.dumpPrefix);
+    if (files.length === 0) throw new UsageError(`No saved ${source.label} pages in ${config.debugDir} (scrape with --save-html, or pass --page <file>)`);
+
+    console.log(`${source.label} selector registry ${source.selectorsVersion}, ${files.length} saved page(s)\n`);
+    const unparsed = [];
+    await withSavedPages(files, async (page, file) => {
+        const diagnosis = await diagnosePage(page, source);
+        console.log(formatDiagnosis(file, diagnosis) + '\n');
+        if (diagnosis.reviews === 0) unparsed.push(path.basename(file));
+    });
 
-            if (reviews.length === 0) {
-                console.error("   ! No reviews found. Saving HTML debug file.");
-                try { 
-                    await page.screenshot({ path: path.join(DEBUG_DIR, `debug_${companyName.replace(/\s/g, '')}_failed.png`) }); 
-                    const html = await page.content();
-                    fs.writeFileSync(path.join(DEBUG_DIR, `debug_${companyName.replace(/\s/g, '')}.html`), html);
-                } catch(err) {
-                    console.error("   ! Screenshot/HTML failed: " + err.message);
-                }
-            } else {
-                const cleanReviews = reviews.map(r => ({ company: companyName, ...r }));
-                saveData(cleanReviews);
-                console.error(`   + Found ${cleanReviews.length} reviews.`);
-            }
+    if (unparsed.length > 0) {
+        console.log(`No review cards parsed on ${unparsed.length} page(s): ${unparsed.join(', ')}`);
+        process.exitCode = 1;
+    } else {
+        console.log('Review cards parsed on every page.');
+    }
+}
 
-            // Next Page
-            try {
-                // Scroll to bottom to ensure pagination is loaded/visible
-                await page.evaluate(() => window.scrollTo(0, document.body.scrollHeight));
-                await page.waitForTimeout(2000);
+// Re-score every stored review from its raw text (e.g. after changing the lexicon); only changed records are rewritten
+function enrichStore(config) {
+    const lexicon = loadLexicon(config.sentimentLexicon);
+    const reviews = loadData(config.store);
+    log.info(`--- SCORING ${reviews.length} REVIEWS WITH ${lexicon.id} ---`);
+
+    const scored = reviews.map(r => scoreReview(r, lexicon));
+    const changed = scored.filter((r, i) => JSON.stringify(r) !== JSON.stringify(reviews[i]));
+    saveData(config.store, changed);
+    const unscored = scored.filter(r => r.sentiment_net === null).length;
+    log.info(`--- Enrich Finished: ${changed.length} reviews updated in ${config.store} (${unscored} without a score: other language or no text) ---`);
+}
 
-                // FIX: More robust pagination locator
-                const nextButton = page.locator('button[data-test="pagination-next"], a[data-test="pagination-next"], button[aria-label="Next"], span[aria-label="Next"], a.nextButton').first();
-                
-                if (await nextButton.count() === 0) {
-                    console.error("   Next button selector matched nothing.");
-                    await page.screenshot({ path: path.join(DEBUG_DIR, `debug_no_next_button_${companyName.replace(/\s/g, '')}_page${i}.png`) });
-                    break;
-                }
+// Write (a company/date slice of) the store as JSON, CSV or flat NDJSON
+function exportData(config, options) {
+    for (const key of ['from', 'to']) {
+        if (options[key] && !isIsoDate(options[key])) throw new UsageError(`--${key} must be a YYYY-MM-DD date`);
+    }
+    const out = options.out || config.output;
+    const { format, count } = exportRecords(loadData(config.store), {
+        out,
+        format: options.format,
+        companies: options.companies ? config.companies.map(c => c.name) : null,
+        from: options.from || null,
+        to: options.to || null
+    });
+    log.info(`Exported ${count} reviews to ${out} (${format})`);
+}
 
-                // Check if button is enabled/visible
-                // Sometimes glassdoor uses a class "disabled" instead of the attribute
-                const isVisible = await nextButton.isVisible();
-                const isDisabled = await nextButton.isDisabled();
-                const classList = await nextButton.getAttribute('class') || "";
-                const isClassDisabled = classList.includes('disabled');
+// Company x period panel of review statistics and (excess) returns, ready for regression
+function runAggregate(config) {
+    const prices = config.pricesFile ? loadPrices(config.pricesFile) : null;
+    let benchmark = null;
+    if (config.benchmarkFile) {
+        const series = loadPrices(config.benchmarkFile);
+        if (series.size !== 1) throw new Error(`${config.benchmarkFile} must hold one price series, found ${series.size}`);
+        benchmark = Array.from(series.values())[0];
+    }
+    if (!prices || !benchmark) log.warn('   ! Pass both --prices and --benchmark for excess returns');
+
+    const { rows, columns } = buildPanel(loadData(config.store), {
+        companies: config.companies,
+        period: config.period,
+        prices,
+        benchmark,
+        lags: config.lags
+    });
+    writeAtomic(config.panel, config.panel.toLowerCase().endsWith('.json') ? JSON.stringify(rows, null, 2) : toCsv(rows, columns));
+    const complete = rows.filter(r => r.reviews > 0 && r.excess_return !== null).length;
+    log.info(`Wrote ${rows.length} ${config.period}ly rows to ${config.panel} (${complete} with both reviews and an excess return)`);
+}
 
-                if (!isVisible) {
-                    console.error("   Next button hidden.");
-                    break;
-                }
+// Reviews per company in the store
+function printStatus(config) {
+    const reviews = loadData(config.store);
+    console.log(`${config.store}: ${reviews.length} reviews`);
 
-                if (isDisabled || isClassDisabled) {
-                    console.error(`   Reached end of reviews for ${companyName}.`); // SAFEGUARD LOG
-                    break;
-                }
+    const bySource = {};
+    for (const r of reviews) bySource[r.source || 'glassdoor'] = (bySource[r.source || 'glassdoor'] || 0) + 1;
+    if (Object.keys(bySource).length > 1) {
+        console.log(`  by source: ${Object.entries(bySource).map(([s, n]) => `${s} ${n}`).join(', ')}`);
+    }
 
-                console.error("   Clicking Next...");
-                
-                // Ensure it's in view
-                await nextButton.scrollIntoViewIfNeeded();
-                await nextButton.click({ force: true });
-                await page.waitForTimeout(4000 + Math.random() * 3000);
-            } catch (e) { 
-                console.error(`   Pagination error: ${e.message}`);
-                break; 
-            }
+    const byCompany = {};
+    for (const r of reviews) {
+        const entry = byCompany[r.company] || (byCompany[r.company] = { count: 0, dates: [] });
+        entry.count++;
+        if (r.date && !isNaN(Date.parse(r.date))) entry.dates.push(new Date(r.date));
+    }
+    for (const company of config.companies) {
+        const entry = byCompany[company.name];
+        if (!entry) {
+            console.log(`  ${company.name}: not scraped`);
+            continue;
         }
+        entry.dates.sort((x, y) => x - y);
+        const range = entry.dates.length
+            ? ` (${entry.dates[0].toISOString().slice(0, 10)} to ${entry.dates[entry.dates.length - 1].toISOString().slice(0, 10)})`
+            : '';
+        console.log(`  ${company.name}: ${entry.count} reviews${range}`);
     }
+}
 
-    await context.close();
-    console.error("--- Scraper Finished ---");
+async function main(argv) {
+    const { command, options } = parseArgs(argv);
+    if (options.help) {
+        console.log(USAGE);
+        return;
+    }
+    const config = resolveConfig(options);
+    configureLogger({ level: config.logLevel, format: config.logFormat });
+
+    if (command === 'scrape') await runScrape(config, options);
+    else if (command === 'replay') await replayDebugDir(config, options);
+    else if (command === 'export') exportData(config, options);
+    else if (command === 'status') printStatus(config);
+    else if (command === 'doctor') await runDoctor(config, options);
+    else if (command === 'enrich') enrichStore(config);
+    else if (command === 'aggregate') runAggregate(config);
 }
 
-scrapeGlassdoor();
\ No newline at end of file
+// Library entry point; the CLI only runs when this file is executed directly
+module.exports = { createScraper, jsonlSink, memorySink, callbackSink, EXIT_CODES, PageStateError, main };
+
+if (require.main === module) {
+    const argv = process.argv.slice(2);
+    main(argv).catch((e) => {
+        logFailure(e);
+        const outcome = failureOutcome(e);
+        if (wantsResultLine(argv)) console.log(JSON.stringify({ ...outcome, manifest: null }));
+        process.exitCode = outcome.exitCode;
+    });
+}
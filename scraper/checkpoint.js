@@ -0,0 +1,66 @@
+/**
+ * RUN CHECKPOINTS
+ * ------------------------------------------------
+ * A small state file written after every page so a crashed run (IP block,
+ * login timeout, pagination error) can continue with --resume instead of
+ * starting over. Per company it records:
+ *   status      'in_progress' | 'done' | 'failed'
+ *   pagesDone   pages saved so far
+ *   lastUrl     URL of the last saved page
+ *   resumeUrl   URL reached by the last Next click (where --resume continues)
+ *   reviews     new reviews written / duplicates dropped by the upsert
+ */
+
+const fs = require('fs');
+const { writeAtomic } = require('./store');
+
+// The parameters that define a run; a resume with different values gets a warning
+function runParams(config) {
+    return {
+        store: config.store,
+        source: config.source,
+        baseUrl: config.baseUrl,
+        maxPages: config.maxPages,
+        incremental: config.incremental,
+        since: config.since,
+        companies: config.companies.map(c => c.name)
+    };
+}
+
+function newState(config) {
+    return {
+        startedAt: new Date().toISOString(),
+        updatedAt: null,
+        params: runParams(config),
+        companies: {}
+    };
+}
+
+function loadState(file) {
+    if (!fs.existsSync(file)) return null;
+    try { return JSON.parse(fs.readFileSync(file)); } catch (e) { return null; }
+}
+
+function saveState(file, state) {
+    state.updatedAt = new Date().toISOString();
+    writeAtomic(file, JSON.stringify(state, null, 2));
+}
+
+function clearState(file) {
+    if (fs.existsSync(file)) fs.unlinkSync(file);
+}
+
+// Names of run parameters that changed since the checkpoint was written
+function changedParams(state, config) {
+    const current = runParams(config);
+    return Object.keys(current).filter(k => JSON.stringify(current[k]) !== JSON.stringify(state.params[k]));
+}
+
+function companyProgress(state, companyName) {
+    if (!state.companies[companyName]) {
+        state.companies[companyName] = { status: 'in_progress', pagesDone: 0, lastUrl: null, resumeUrl: null, reviews: 0, duplicates: 0, quarantined: 0 };
+    }
+    return state.companies[companyName];
+}
+
+module.exports = { newState, loadState, saveState, clearState, changedParams, companyProgress };
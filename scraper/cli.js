@@ -0,0 +1,160 @@
+/**
+ * COMMAND-LINE PARSING
+ * ------------------------------------------------
+ * Small hand-rolled parser so the scraper keeps Playwright as its only dependency.
+ */
+
+const COMMANDS = ['scrape', 'replay', 'export', 'status', 'doctor', 'enrich', 'aggregate'];
+
+const USAGE = `Usage: node nolan-enzo-will-glassdoor_scraper.js [command] [options]
+
+Commands:
+  scrape              Search the review site (Glassdoor unless --source) and scrape reviews (default)
+  replay              Rebuild the store from HTML saved in the debug dir (scrape with --save-html)
+  export              Write the store as JSON, CSV or flat NDJSON, optionally filtered
+  status              Summarize the store (reviews per company, dates)
+  doctor              Check saved pages against the selector registry (exits 1 if a page parses no reviews)
+  enrich              Recompute sentiment scores for every review in the store
+  aggregate           Build the company x month panel, joined with local price CSVs
+
+Options:
+  -c, --config <file>     JSON or YAML config (companies, paths, limits)
+  --companies <a,b,...>   Only these companies (comma-separated)
+  --store <file>          Append-only review store (default: glassdoor_reviews.jsonl)
+  -o, --output <file>     Default export file (default: glassdoor_data.json)
+  --debug-dir <dir>       Screenshots and HTML dumps (default: debug_images)
+  --max-pages <n>         Pages per company unless the company sets its own (default: 30)
+  --auth-dir <dir>        Persistent browser profile (default: glassdoor_auth)
+  --source <name>         Review site: glassdoor | indeed (default: glassdoor)
+  --base-url <url>        Site root (default: the source's, e.g. https://www.glassdoor.ca)
+  --headless              Run the browser without a window
+  --save-html             scrape: dump each scraped page to the debug dir, for replay and doctor
+  --no-save-html          scrape: do not, even if the config file turns it on
+  --state-file <file>     Checkpoint file (default: glassdoor_state.json)
+  --quarantine <file>     Records failing validation (default: glassdoor_quarantine.jsonl)
+  --quality-report <file> Per-company quality report (default: glassdoor_quality.json)
+  --min-reviews <n>       Flag companies with fewer reviews as thin (default: 100)
+  --resume                scrape: continue the run recorded in the checkpoint
+  --fresh                 scrape: delete existing data and checkpoint first; replay: replace the source's
+                          reviews and quarantine entries instead of refusing to touch them
+  --incremental           scrape: newest reviews first, stop at reviews already collected
+  --since <YYYY-MM-DD>    scrape: newest reviews first, stop at reviews older than this date
+  --employer-cache <file> Confirmed employer IDs (default: glassdoor_employers.json)
+  --min-confidence <0-1>  scrape: refuse search matches scoring below this (default: 0.8)
+  --accept-low-confidence scrape: use the best search match even when it is below --min-confidence
+  --out <file>            export: destination file (default: --output)
+  --format <fmt>          export: json | csv | flat (default: from the --out extension)
+  --from <YYYY-MM-DD>     export: only reviews on or after this date
+  --to <YYYY-MM-DD>       export: only reviews on or before this date
+  --manifest-dir <dir>    Per-run manifests (default: glassdoor_runs)
+  --log-level <level>     debug | info | warn | error | silent (default: info)
+  --log-format <fmt>      text | json, one JSON object per stderr line (default: text)
+  --non-interactive       scrape: never wait for a manual login/CAPTCHA; exit 3 login wall, 4 blocked,
+                          5 rate-limited, 6 some companies failed, 2 bad options, 1 other errors
+                          (one JSON result line on stdout on every exit)
+  --manual-wait <s>       scrape: seconds to wait for a login wall or block to clear (default: 600)
+  --page <file>           doctor: check this saved page instead of the debug dir's dumps
+  --sentiment             scrape/replay: add lexicon sentiment scores to each review before storing
+  --lexicon <file>        Word list for --sentiment and enrich, JSON or word<TAB>score (default: bundled)
+  --panel <file>          aggregate: output, .csv or .json (default: glassdoor_panel.csv)
+  --period <p>            aggregate: month | quarter (default: month)
+  --prices <file>         aggregate: stock prices CSV, long (date,ticker,close) or wide (date,<ticker>,...)
+  --benchmark <file>      aggregate: benchmark index prices CSV, for excess returns
+  --lags <k,...>          aggregate: add the excess return k periods later per k (default: 1)
+  -h, --help              Show this message
+`;
+
+// flag -> [config key, takes a value]
+const FLAGS = {
+    '-c': ['config', true],
+    '--config': ['config', true],
+    '--companies': ['companies', true],
+    '--store': ['store', true],
+    '-o': ['output', true],
+    '--output': ['output', true],
+    '--debug-dir': ['debugDir', true],
+    '--max-pages': ['maxPages', true],
+    '--auth-dir': ['authDir', true],
+    '--source': ['source', true],
+    '--base-url': ['baseUrl', true],
+    '--headless': ['headless', false],
+    '--save-html': ['savePageHtml', false],
+    '--no-save-html': ['savePageHtml', false],
+    '--state-file': ['stateFile', true],
+    '--quarantine': ['quarantineFile', true],
+    '--quality-report': ['qualityReport', true],
+    '--min-reviews': ['minReviews', true],
+    '--resume': ['resume', false],
+    '--fresh': ['fresh', false],
+    '--incremental': ['incremental', false],
+    '--since': ['since', true],
+    '--employer-cache': ['employerCache', true],
+    '--min-confidence': ['minConfidence', true],
+    '--accept-low-confidence': ['acceptLowConfidence', false],
+    '--out': ['out', true],
+    '--format': ['format', true],
+    '--from': ['from', true],
+    '--to': ['to', true],
+    '--manifest-dir': ['manifestDir', true],
+    '--log-level': ['logLevel', true],
+    '--log-format': ['logFormat', true],
+    '--non-interactive': ['nonInteractive', false],
+    '--manual-wait': ['manualWaitSeconds', true],
+    '--page': ['page', true],
+    '--sentiment': ['sentiment', false],
+    '--lexicon': ['sentimentLexicon', true],
+    '--panel': ['panel', true],
+    '--period': ['period', true],
+    '--prices': ['pricesFile', true],
+    '--benchmark': ['benchmarkFile', true],
+    '--lags': ['lags', true],
+    '-h': ['help', false],
+    '--help': ['help', false]
+};
+
+class UsageError extends Error {}
+
+function parseArgs(argv) {
+    const options = {};
+    let command = null;
+
+    for (let i = 0; i < argv.length; i++) {
+        let arg = argv[i];
+        let inlineValue;
+
+        // Support --flag=value
+        if (arg.startsWith('--') && arg.includes('=')) {
+            inlineValue = arg.slice(arg.indexOf('=') + 1);
+            arg = arg.slice(0, arg.indexOf('='));
+        }
+
+        if (!arg.startsWith('-')) {
+            if (command) throw new UsageError(`Unexpected argument "${arg}"`);
+            if (!COMMANDS.includes(arg)) throw new UsageError(`Unknown command "${arg}"`);
+            command = arg;
+            continue;
+        }
+
+        const flag = FLAGS[arg];
+        if (!flag) throw new UsageError(`Unknown option "${arg}"`);
+        const [key, takesValue] = flag;
+
+        if (!takesValue) {
+            options[key] = arg.startsWith('--no-') ? false : true;
+            continue;
+        }
+
+        const value = inlineValue !== undefined ? inlineValue : argv[++i];
+        if (value === undefined || (inlineValue === undefined && value.startsWith('-'))) {
+            throw new UsageError(`Option "${arg}" needs a value`);
+        }
+        options[key] = value;
+    }
+
+    if (options.companies) {
+        options.companies = options.companies.split(',').map(c => c.trim()).filter(Boolean);
+    }
+    return { command: command || 'scrape', options };
+}
+
+module.exports = { parseArgs, USAGE, COMMANDS, UsageError };
@@ -0,0 +1,180 @@
+/**
+ * RUN CONFIGURATION
+ * ------------------------------------------------
+ * Defaults < config file (JSON or YAML) < command-line flags.
+ * Companies may be plain names or objects:
+ *   { "name": "Enbridge", "ticker": "ENB.TO", "employerId": 12345, "indeedId": "Enbridge", "maxPages": 10 }
+ * (employerId is Glassdoor's, indeedId the Indeed company slug).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { isIsoDate } = require('./dates');
+const { PERIODS } = require('./panel');
+const { SOURCES, getSource } = require('./sources');
+const { FORMATS: LOG_FORMATS, LEVELS } = require('./logger');
+const { UsageError } = require('./cli');
+
+// TOP 20 ALBERTA OIL & GAS COMPANIES (Publicly Traded)
+const DEFAULT_COMPANIES = [
+    'Enbridge',
+    'Canadian Natural Resources',
+    'Suncor Energy',
+    'TC Energy',
+    'Cenovus Energy',
+    'Imperial Oil',
+    'Pembina Pipeline',
+    'Tourmaline Oil',
+    'ARC Resources',
+    'MEG Energy',
+    'Whitecap Resources',
+    'Strathcona Resources',
+    'Keyera',
+    'Gibson Energy',
+    'Vermilion Energy',
+    'Baytex Energy',
+    'Paramount Resources',
+    'Peyto Exploration & Development',
+    'Athabasca Oil',
+    'NuVista Energy'
+];
+
+const DEFAULTS = {
+    store: 'glassdoor_reviews.jsonl', // Append-only review store (primary sink)
+    output: 'glassdoor_data.json', // Default export: the pretty JSON the Quarto report reads
+    debugDir: 'debug_images', // Folder for screenshots to debug
+    maxPages: 30, // ~300 reviews/company
+    authDir: 'glassdoor_auth', // Folder to store login data
+    stateFile: 'glassdoor_state.json', // Checkpoint for --resume
+    quarantineFile: 'glassdoor_quarantine.jsonl', // Records that failed schema validation
+    qualityReport: 'glassdoor_quality.json', // Per-company data-quality report
+    minReviews: 100, // Companies with fewer reviews are flagged as thin
+    employerCache: 'glassdoor_employers.json', // Confirmed company name -> employer ID / reviews URL
+    minConfidence: 0.8, // Search matches scoring below this are refused
+    acceptLowConfidence: false, // Scrape low-confidence matches anyway (logged, never cached)
+    source: 'glassdoor', // Review site adapter: glassdoor | indeed (see scraper/sources/)
+    baseUrl: null, // Site root (null = the source's own, e.g. https://www.glassdoor.ca)
+    headless: false,
+    savePageHtml: false, // Dump each scraped page to debugDir for replay/doctor (--save-html); large over a full run
+    incremental: false, // Newest reviews first, stop at reviews already in the store
+    since: null, // YYYY-MM-DD: newest reviews first, stop at reviews older than this
+    manifestDir: 'glassdoor_runs', // One run-<timestamp>.json manifest per scrape
+    logLevel: 'info', // debug | info | warn | error | silent
+    logFormat: 'text', // text | json (one JSON object per line on stderr)
+    nonInteractive: false, // Exit with a state-specific code instead of waiting for a manual login/CAPTCHA
+    manualWaitSeconds: 600, // Interactive runs: how long to wait for a login wall or block to clear
+    sentiment: false, // Score title/pros/cons/advice with a word list before storing (see scraper/sentiment.js)
+    sentimentLexicon: null, // JSON or TSV word list for --sentiment and enrich (null = the bundled workplace lexicon)
+    panel: 'glassdoor_panel.csv', // aggregate: company x period panel (.csv or .json)
+    period: 'month', // aggregate: month | quarter
+    pricesFile: null, // aggregate: CSV of stock prices per ticker (long or wide, see scraper/panel.js)
+    benchmarkFile: null, // aggregate: CSV of the benchmark index (e.g. XEG.TO) for excess returns
+    lags: [1], // aggregate: also give each period the excess return this many periods later
+    companies: DEFAULT_COMPANIES
+};
+
+function normalizeCompany(entry) {
+    if (typeof entry === 'string') entry = { name: entry };
+    if (!entry || !entry.name) {
+        throw new UsageError(`Company entry needs a "name": ${JSON.stringify(entry)}`);
+    }
+    return {
+        name: String(entry.name).trim(),
+        ticker: entry.ticker || null,
+        employerId: entry.employerId != null ? String(entry.employerId).replace(/^E/i, '') : null,
+        indeedId: entry.indeedId != null ? String(entry.indeedId) : null,
+        maxPages: entry.maxPages != null ? Number(entry.maxPages) : null
+    };
+}
+
+function parseYaml(text, file) {
+    for (const pkg of ['yaml', 'js-yaml']) {
+        let mod;
+        try { mod = require(pkg); } catch (e) { continue; }
+        return pkg === 'yaml' ? mod.parse(text) : mod.load(text);
+    }
+    throw new Error(`Reading ${file} needs a YAML parser. Run "npm install yaml" or use a JSON config.`);
+}
+
+function loadConfigFile(file) {
+    const text = fs.readFileSync(file, 'utf8');
+    const ext = path.extname(file).toLowerCase();
+    const data = (ext === '.yaml' || ext === '.yml') ? parseYaml(text, file) : JSON.parse(text);
+    if (Array.isArray(data)) return { companies: data }; // A bare list of companies
+    return data || {};
+}
+
+// Merge defaults, the optional config file and CLI overrides into one config object
+function resolveConfig(overrides = {}) {
+    const fromFile = overrides.config ? loadConfigFile(overrides.config) : {};
+    // Overrides also carry run options (resume, out, sinks, ...); only the file must hold config keys alone
+    const unknown = Object.keys(fromFile).filter(key => !(key in DEFAULTS));
+    if (unknown.length > 0) {
+        throw new UsageError(`Unknown config key${unknown.length > 1 ? 's' : ''} in ${overrides.config}: ${unknown.join(', ')}`);
+    }
+    const config = { ...DEFAULTS };
+
+    for (const source of [fromFile, overrides]) {
+        for (const [key, value] of Object.entries(source)) {
+            if (value !== undefined && key in DEFAULTS && !(source === overrides && key === 'companies')) config[key] = value;
+        }
+    }
+
+    config.maxPages = Number(config.maxPages);
+    if (!Number.isInteger(config.maxPages) || config.maxPages < 1) {
+        throw new UsageError(`maxPages must be a positive integer, got "${config.maxPages}"`);
+    }
+    const minReviews = config.minReviews;
+    config.minReviews = minReviews === '' || minReviews === null ? NaN : Number(minReviews);
+    if (!Number.isInteger(config.minReviews) || config.minReviews < 0) {
+        throw new UsageError(`minReviews must be a non-negative integer, got "${minReviews}"`);
+    }
+    config.minConfidence = Number(config.minConfidence);
+    if (!(config.minConfidence >= 0 && config.minConfidence <= 1)) {
+        throw new UsageError(`minConfidence must be between 0 and 1, got "${config.minConfidence}"`);
+    }
+    config.manualWaitSeconds = Number(config.manualWaitSeconds);
+    if (!(config.manualWaitSeconds > 0)) {
+        throw new UsageError(`manualWaitSeconds must be a positive number, got "${config.manualWaitSeconds}"`);
+    }
+    if (!PERIODS.includes(config.period)) {
+        throw new UsageError(`period must be one of ${PERIODS.join(', ')}, got "${config.period}"`);
+    }
+    const lags = typeof config.lags === 'string' ? config.lags.split(',').filter(l => l.trim() !== '') : [].concat(config.lags);
+    config.lags = lags.map(Number);
+    if (config.lags.some(l => !Number.isInteger(l) || l < 0)) {
+        throw new UsageError(`lags must be non-negative integers, got "${lags.join(',')}"`);
+    }
+    if (!SOURCES[config.source]) {
+        throw new UsageError(`source must be one of ${Object.keys(SOURCES).join(', ')}, got "${config.source}"`);
+    }
+    if (!(config.logLevel in LEVELS)) {
+        throw new UsageError(`logLevel must be one of ${Object.keys(LEVELS).join(', ')}, got "${config.logLevel}"`);
+    }
+    if (!LOG_FORMATS.includes(config.logFormat)) {
+        throw new UsageError(`logFormat must be one of ${LOG_FORMATS.join(', ')}, got "${config.logFormat}"`);
+    }
+    if (config.since && !isIsoDate(config.since)) {
+        throw new UsageError(`since must be a YYYY-MM-DD date, got "${config.since}"`);
+    }
+    config.baseUrl = String(config.baseUrl || getSource(config.source).baseUrl).replace(/\/+$/, '');
+    for (const list of [config.companies, overrides.companies]) {
+        if (list != null && !Array.isArray(list)) {
+            throw new UsageError(`companies must be a list, got ${JSON.stringify(list)}`);
+        }
+    }
+    config.companies = config.companies.map(normalizeCompany);
+
+    // --companies picks from the configured list so tickers/employer IDs are kept;
+    // library callers may also pass full company entries
+    if (overrides.companies) {
+        config.companies = overrides.companies.map(item => {
+            const entry = normalizeCompany(item);
+            const known = config.companies.find(c => c.name.toLowerCase() === entry.name.toLowerCase());
+            return typeof item === 'string' && known ? known : entry;
+        });
+    }
+    return config;
+}
+
+module.exports = { DEFAULTS, DEFAULT_COMPANIES, resolveConfig, loadConfigFile, normalizeCompany };
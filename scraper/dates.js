@@ -0,0 +1,35 @@
+/**
+ * REVIEW DATES
+ * ------------------------------------------------
+ * Glassdoor prints dates like "Nov 28, 2025". Parsed by hand into
+ * YYYY-MM-DD so the result never depends on the machine's time zone.
+ */
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+const pad = (n) => String(n).padStart(2, '0');
+
+// "Nov 28, 2025" / "November 28, 2025" / "2025-11-28" -> "2025-11-28", anything else -> null
+function toIsoDate(value) {
+    if (!value) return null;
+    const text = String(value).trim();
+
+    const iso = text.match(/^(\d{4})-(\d{2})-(\d{2})/);
+    if (iso) return `${iso[1]}-${iso[2]}-${iso[3]}`;
+
+    const match = text.match(/^([A-Za-z]{3,9})\.?\s+(\d{1,2}),?\s+(\d{4})$/);
+    if (!match) return null;
+    const month = MONTHS.indexOf(match[1].slice(0, 3).toLowerCase());
+    const day = Number(match[2]);
+    if (month === -1 || day < 1 || day > 31) return null;
+    return `${match[3]}-${pad(month + 1)}-${pad(day)}`;
+}
+
+// A real calendar day: Date.parse rolls "2025-02-31" over to March, so the value must survive a round trip
+function isIsoDate(value) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(value || '')) return false;
+    const date = new Date(value);
+    return !isNaN(date) && date.toISOString().slice(0, 10) === value;
+}
+
+module.exports = { toIsoDate, isIsoDate };
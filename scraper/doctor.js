@@ -0,0 +1,69 @@
+/**
+ * SELECTOR DOCTOR
+ * ------------------------------------------------
+ * Checks saved pages against the selector registry: for every element,
+ * which selector in its chain matched (and how often) and which failed,
+ * plus how many review cards each parse strategy finds on its own.
+ * Run it on the debug dir's HTML dumps after Glassdoor (or another
+ * source, with --source) changes its markup.
+ */
+
+const path = require('path');
+const { getSource } = require('./sources');
+
+// Match counts for every selector in every chain of the source's registry, and cards per parse strategy
+async function diagnosePage(page, source = getSource('glassdoor')) {
+    const registry = source.selectors;
+    const counts = await page.evaluate((registry) => {
+        const out = {};
+        for (const [name, { chain }] of Object.entries(registry)) {
+            out[name] = chain.map(selector => {
+                try {
+                    return { selector, count: document.querySelectorAll(selector).length };
+                } catch (e) {
+                    return { selector, count: 0, error: e.message }; // Invalid selector
+                }
+            });
+        }
+        return out;
+    }, registry);
+
+    const strategies = await page.evaluate(`(() => {
+        const parser = ${source.parserSource()};
+        return Object.fromEntries(parser.strategies.map(s => [s, parser.extractWith(document, s).length]));
+    })()`);
+
+    const elements = Object.entries(registry).map(([name, { page: where }]) => {
+        const results = counts[name];
+        const matchIndex = results.findIndex(r => r.count > 0);
+        return {
+            name,
+            page: where,
+            matched: matchIndex === -1 ? null : results[matchIndex].selector,
+            fallback: matchIndex > 0,
+            results
+        };
+    });
+
+    // The strategy extractReviews would use: the first one that finds anything
+    const used = Object.keys(strategies).find(s => strategies[s] > 0) || null;
+    return { elements, strategies, strategy: used, reviews: used ? strategies[used] : 0 };
+}
+
+// Text report for one page: "+" primary selector matched, "~" a fallback matched, "-" nothing matched
+function formatDiagnosis(file, diagnosis) {
+    const lines = [path.basename(file)];
+    const strategies = Object.entries(diagnosis.strategies).map(([s, n]) => `${s} ${n}`).join(', ');
+    lines.push(`  review cards: ${strategies} (${diagnosis.strategy ? `using ${diagnosis.strategy}` : 'NONE PARSED'})`);
+
+    for (const element of diagnosis.elements) {
+        const mark = !element.matched ? '-' : element.fallback ? '~' : '+';
+        const chain = element.results
+            .map(r => `${r.selector} ${r.error ? `INVALID (${r.error})` : r.count}`)
+            .join(' | ');
+        lines.push(`  ${mark} ${element.name} [${element.page}]: ${chain}`);
+    }
+    return lines.join('\n');
+}
+
+module.exports = { diagnosePage, formatDiagnosis };
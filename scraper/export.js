@@ -0,0 +1,106 @@
+/**
+ * EXPORTS
+ * ------------------------------------------------
+ * Turns the JSONL store into the files the analysis reads:
+ *   json  pretty-printed array (what the Quarto report loads with fromJSON)
+ *   csv   RFC 4180, every field quoted when needed so multi-line pros/cons survive
+ *   flat  newline-delimited JSON with a fixed column set and a .schema.json
+ *         sidecar, ready for arrow/duckdb to convert to Parquet
+ * All exports can be filtered by company and date range and are written atomically.
+ */
+
+const path = require('path');
+const { REVIEW_SCHEMA } = require('./schema');
+const { writeAtomic } = require('./store');
+const { UsageError } = require('./cli');
+
+const FORMATS = ['json', 'csv', 'flat'];
+
+// Schema type -> Arrow type for the flat export's sidecar
+const ARROW_TYPES = { string: 'utf8', number: 'float64', date: 'date32', enum: 'utf8' };
+
+function formatFromFile(file) {
+    const ext = path.extname(file).toLowerCase();
+    if (ext === '.csv') return 'csv';
+    if (ext === '.ndjson' || ext === '.jsonl') return 'flat';
+    return 'json';
+}
+
+// companies: names or null for all; from/to: inclusive YYYY-MM-DD bounds or null
+function filterRecords(records, { companies, from, to }) {
+    return records.filter(r => {
+        if (companies && !companies.includes(r.company)) return false;
+        if (from && !(r.date && r.date >= from)) return false;
+        if (to && !(r.date && r.date <= to)) return false;
+        return true;
+    });
+}
+
+// Schema fields first (in schema order; optional ones only if a record carries them), then anything extra the records carry
+function columnsFor(records) {
+    const columns = Object.keys(REVIEW_SCHEMA)
+        .filter(field => !REVIEW_SCHEMA[field].optional || records.some(r => r[field] !== undefined));
+    for (const record of records) {
+        for (const key of Object.keys(record)) {
+            if (!columns.includes(key)) columns.push(key);
+        }
+    }
+    return columns;
+}
+
+function csvField(value) {
+    if (value === null || value === undefined) return '';
+    const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(records, columns = columnsFor(records)) {
+    const rows = [columns.join(',')];
+    for (const record of records) {
+        rows.push(columns.map(c => csvField(record[c])).join(','));
+    }
+    return rows.join('\r\n') + '\r\n';
+}
+
+// Every line has every column (null when missing) so column types never drift between rows
+function toFlat(records) {
+    const columns = columnsFor(records);
+    return records.map(record => {
+        const row = {};
+        for (const c of columns) {
+            const value = record[c];
+            row[c] = value === undefined ? null : (value !== null && typeof value === 'object' ? JSON.stringify(value) : value);
+        }
+        return JSON.stringify(row);
+    }).join('\n') + (records.length ? '\n' : '');
+}
+
+function flatSchema(records) {
+    return {
+        format: 'ndjson',
+        columns: columnsFor(records).map(name => ({
+            name,
+            type: REVIEW_SCHEMA[name] ? ARROW_TYPES[REVIEW_SCHEMA[name].type] : 'utf8',
+            nullable: !(REVIEW_SCHEMA[name] && REVIEW_SCHEMA[name].required)
+        }))
+    };
+}
+
+function exportRecords(records, { out, format = formatFromFile(out), ...filters }) {
+    if (!FORMATS.includes(format)) {
+        throw new UsageError(`Unknown export format "${format}" (expected ${FORMATS.join(', ')})`);
+    }
+    const selected = filterRecords(records, filters);
+
+    if (format === 'json') {
+        writeAtomic(out, JSON.stringify(selected, null, 2));
+    } else if (format === 'csv') {
+        writeAtomic(out, toCsv(selected));
+    } else {
+        writeAtomic(out, toFlat(selected));
+        writeAtomic(out.replace(/(\.[^./\\]+)?$/, '.schema.json'), JSON.stringify(flatSchema(selected), null, 2));
+    }
+    return { format, count: selected.length };
+}
+
+module.exports = { FORMATS, exportRecords, filterRecords, toCsv, toFlat, formatFromFile };
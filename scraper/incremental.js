@@ -0,0 +1,38 @@
+/**
+ * INCREMENTAL RUNS
+ * ------------------------------------------------
+ * With --incremental or --since the reviews are sorted newest first (each
+ * source's sortByMostRecent, see scraper/sources/), so pagination can stop
+ * at the first page that reaches reviews we already have (or reviews older
+ * than the cutoff date).
+ */
+
+const { toIsoDate } = require('./dates');
+const { reviewId } = require('./store');
+
+/**
+ * Split one page of records into the ones worth keeping and a stop reason
+ * code (since_cutoff / known_reviews, see STOP_REASONS in manifest.js).
+ * known: { ids, newestDate } for this company from the existing data (or undefined)
+ * since: YYYY-MM-DD cutoff (or null)
+ */
+function filterNewReviews(records, { known, since }) {
+    let stopReason = null;
+
+    const fresh = records.filter(record => {
+        const date = toIsoDate(record.date);
+        if (since && date && date < since) {
+            stopReason = 'since_cutoff';
+            return false;
+        }
+        if (known && (known.ids.has(reviewId(record)) || (date && known.newestDate && date < known.newestDate))) {
+            stopReason = stopReason || 'known_reviews';
+            return false;
+        }
+        return true;
+    });
+
+    return { fresh, stopReason };
+}
+
+module.exports = { filterNewReviews };
@@ -0,0 +1,49 @@
+/**
+ * LOGGING
+ * ------------------------------------------------
+ * Leveled logger writing to stderr (stdout is kept for command output).
+ *   text  the familiar "   ! ..." progress lines, filtered by level
+ *   json  one JSON object per line: { time, level, msg, ...fields }
+ * Fields (company, page, url, ...) are only printed in json mode, so text
+ * messages should stay self-explanatory.
+ */
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+const FORMATS = ['text', 'json'];
+
+function createLogger({ level = 'info', format = 'text', stream = process.stderr, fields = {} } = {}) {
+    if (!(level in LEVELS)) throw new Error(`Unknown log level "${level}" (expected ${Object.keys(LEVELS).join(', ')})`);
+    if (!FORMATS.includes(format)) throw new Error(`Unknown log format "${format}" (expected ${FORMATS.join(', ')})`);
+
+    const write = (lvl, msg, extra) => {
+        if (LEVELS[lvl] < LEVELS[level]) return;
+        if (format === 'json') {
+            // Drop the text-mode decoration ("--- X ---", "   ! ", "   + ")
+            const clean = String(msg).replace(/^[\s!+\-]+|[\s\-]+$/g, '');
+            stream.write(JSON.stringify({ time: new Date().toISOString(), level: lvl, msg: clean, ...fields, ...extra }) + '\n');
+        } else {
+            stream.write(`${msg}\n`);
+        }
+    };
+
+    return {
+        level,
+        format,
+        debug: (msg, extra) => write('debug', msg, extra),
+        info: (msg, extra) => write('info', msg, extra),
+        warn: (msg, extra) => write('warn', msg, extra),
+        error: (msg, extra) => write('error', msg, extra),
+        // Same settings, extra fields on every line (e.g. { company })
+        child: (extra) => createLogger({ level, format, stream, fields: { ...fields, ...extra } })
+    };
+}
+
+// Shared instance used by the scraper modules; the CLI reconfigures it from --log-level/--log-format
+const log = createLogger();
+
+function configureLogger(options) {
+    Object.assign(log, createLogger(options));
+    return log;
+}
+
+module.exports = { LEVELS, FORMATS, createLogger, configureLogger, log };
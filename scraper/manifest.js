@@ -0,0 +1,90 @@
+/**
+ * RUN MANIFEST
+ * ------------------------------------------------
+ * One JSON file per run (in config.manifestDir) recording what actually
+ * happened: the config, and per company the resolved employer page, pages
+ * visited, reviews found/written, why pagination stopped and which debug
+ * files were saved. Rewritten atomically after every company, so a crashed
+ * run still leaves a manifest (with endedAt: null). A null manifestDir keeps
+ * it in memory only.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { writeAtomic } = require('./store');
+const { getSource } = require('./sources');
+
+// stopReason codes -> log wording
+const STOP_REASONS = {
+    end_of_reviews: 'reached the last page of reviews',
+    max_pages: 'reached the page limit',
+    next_button_missing: 'no Next button on the page',
+    next_button_hidden: 'Next button hidden',
+    known_reviews: 'reached reviews collected by a previous run',
+    since_cutoff: 'reached reviews older than the --since date',
+    empty_results: 'the site shows no reviews',
+    not_found: 'company could not be resolved',
+    skipped: 'already done in the checkpoint',
+    error: 'error'
+};
+
+function newCompanyEntry() {
+    return {
+        status: 'pending',
+        employerId: null,
+        resolvedUrl: null,
+        resolution: null,
+        pagesVisited: 0,
+        reviewsFound: 0,
+        reviewsAdded: 0,
+        duplicates: 0,
+        quarantined: 0,
+        stopReason: null,
+        error: null,
+        debugFiles: []
+    };
+}
+
+function createManifest(config, command) {
+    const startedAt = new Date();
+    const runId = startedAt.toISOString().replace(/[:.]/g, '-');
+    const file = config.manifestDir ? path.join(config.manifestDir, `run-${runId}.json`) : null;
+
+    const manifest = {
+        runId,
+        command,
+        startedAt: startedAt.toISOString(),
+        endedAt: null,
+        selectorsVersion: getSource(config.source).selectorsVersion,
+        config: { ...config },
+        companies: {},
+        totals: null,
+        outcome: null // { status, reason, exitCode }, see EXIT_CODES in pagestate.js
+    };
+
+    const company = (name) => manifest.companies[name] || (manifest.companies[name] = newCompanyEntry());
+
+    const save = () => {
+        if (!file) return;
+        fs.mkdirSync(config.manifestDir, { recursive: true });
+        writeAtomic(file, JSON.stringify(manifest, null, 2));
+    };
+
+    const finish = (outcome = null) => {
+        manifest.endedAt = new Date().toISOString();
+        manifest.outcome = outcome;
+        const entries = Object.values(manifest.companies);
+        manifest.totals = {
+            companies: entries.length,
+            failed: entries.filter(e => e.status === 'failed').length,
+            pagesVisited: entries.reduce((n, e) => n + e.pagesVisited, 0),
+            reviewsFound: entries.reduce((n, e) => n + e.reviewsFound, 0),
+            reviewsAdded: entries.reduce((n, e) => n + e.reviewsAdded, 0)
+        };
+        save();
+    };
+
+    return { file, data: manifest, company, save, finish };
+}
+
+module.exports = { STOP_REASONS, createManifest };
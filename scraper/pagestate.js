@@ -0,0 +1,90 @@
+/**
+ * PAGE STATE
+ * ------------------------------------------------
+ * Classifies the page after every navigation:
+ *   ok            normal content
+ *   login         login wall (sign-in URL or the sign-in overlay)
+ *   blocked       Cloudflare / Access Denied / CAPTCHA challenge
+ *   rate_limited  HTTP 429 or a "too many requests" page
+ *   empty         search or review list with no results (only meaningful
+ *                 when nothing was found; review text can match too)
+ * Blocking states stop a --non-interactive run with their exit code; an
+ * interactive run waits for them to clear (the user logs in or solves the
+ * CAPTCHA) and only gives up after manualWaitSeconds.
+ */
+
+const { locate } = require('./selectors');
+
+// Process exit codes, one per way a scrape can end
+const EXIT_CODES = {
+    ok: 0,
+    error: 1,
+    usage: 2,
+    login: 3,
+    blocked: 4,
+    rate_limited: 5,
+    incomplete: 6 // Run finished but some companies failed
+};
+
+// States that stop the whole run (as opposed to one company)
+const BLOCKING_STATES = ['login', 'blocked', 'rate_limited'];
+
+const BLOCKED_TITLES = ['Access Denied', 'Cloudflare', 'Just a moment', 'Attention Required', 'Security Check'];
+const BLOCKED_TEXT = [/verify (that )?you are (a )?human/i, /checking (if the site connection is secure|your browser)/i, /enable javascript and cookies to continue/i, /captcha/i];
+const RATE_LIMITED_TEXT = [/too many requests/i, /rate limit(ed)?/i];
+// Sign-in routes only, anchored at the root so slugs like "Accountemps" or "Login-Inc" do not match
+// (Glassdoor /profile/login_input.htm, /member/..., Indeed /account/login, secure.indeed.com/auth)
+const LOGIN_URL = /^\/(?:(?:profile\/)?login|signin|member\/|account\/|auth(?:\/|$))/i;
+const EMPTY_TEXT = [/no results (found )?for/i, /we couldn'?t find/i, /there are no reviews/i, /no reviews (yet|found|match)/i];
+
+class PageStateError extends Error {
+    constructor({ state, reason, url }) {
+        super(`${state.toUpperCase()}: ${reason} (${url})`);
+        this.state = state;
+        this.reason = reason;
+        this.url = url;
+        this.exitCode = EXIT_CODES[state];
+    }
+}
+
+/**
+ * Pure classifier over what was read from the page.
+ * snapshot: { url, title, text, status (HTTP status or null), loginWall (overlay present) }
+ * Returns { state, reason } with a short machine-readable reason such as "status:429".
+ */
+function classifyPage({ url = '', title = '', text = '', status = null, loginWall = false }) {
+    if (status === 429) return { state: 'rate_limited', reason: 'status:429' };
+    const rateText = RATE_LIMITED_TEXT.find(re => re.test(title) || re.test(text.slice(0, 2000)));
+    if (rateText && text.length < 5000) return { state: 'rate_limited', reason: `text:${rateText.source}` };
+
+    const blockedTitle = BLOCKED_TITLES.find(t => title.includes(t));
+    if (blockedTitle) return { state: 'blocked', reason: `title:${blockedTitle}` };
+    // Challenge pages are short; a long page mentioning "captcha" is just content
+    const blockedText = BLOCKED_TEXT.find(re => re.test(text));
+    if (blockedText && text.length < 5000) return { state: 'blocked', reason: `text:${blockedText.source}` };
+    if (status === 403) return { state: 'blocked', reason: 'status:403' };
+
+    let path = url;
+    try { path = new URL(url).pathname; } catch (e) {}
+    if (LOGIN_URL.test(path)) return { state: 'login', reason: 'url:login' };
+    if (loginWall) return { state: 'login', reason: 'overlay:loginWall' };
+
+    const emptyText = EMPTY_TEXT.find(re => re.test(text));
+    if (emptyText) return { state: 'empty', reason: `text:${emptyText.source}` };
+    return { state: 'ok', reason: null };
+}
+
+// Read the live page (and the navigation response, when there was one) and classify it;
+// selectors: the source's registry, for its loginWall element
+async function readPageState(page, response = null, selectors = undefined) {
+    const snapshot = {
+        url: page.url(),
+        title: await page.title().catch(() => ''),
+        text: await page.evaluate(() => (document.body ? document.body.innerText : '')).catch(() => ''),
+        status: response ? response.status() : null,
+        loginWall: await (await locate(page, 'loginWall', selectors)).isVisible().catch(() => false)
+    };
+    return { ...classifyPage(snapshot), url: snapshot.url };
+}
+
+module.exports = { EXIT_CODES, BLOCKING_STATES, PageStateError, classifyPage, readPageState };
@@ -0,0 +1,207 @@
+/**
+ * COMPANY x PERIOD PANEL
+ * ------------------------------------------------
+ * The "aggregate" command: one row per company and month (or quarter) with
+ * review statistics, joined with local price CSVs on the company's ticker.
+ *
+ * Review columns: reviews, rating_mean, rating_median, rating_sd, share_low
+ * (1-2 stars) and sentiment_mean (mean sentiment_net, when --sentiment/enrich ran).
+ * Return columns: return (log return of the last close in the period over the
+ * previous period's), benchmark_return, excess_return = return - benchmark_return,
+ * and excess_return_lead<k> for each lag k > 0: the excess return k periods
+ * later, so sentiment in period t can be regressed on returns in t + k.
+ *
+ * Price CSVs may be long (date, ticker or symbol, adjusted/adj_close/close/price,
+ * e.g. tidyquant's tq_get output) or wide (date plus one column per ticker).
+ * The benchmark CSV holds a single series in either layout.
+ */
+
+const fs = require('fs');
+const { toIsoDate } = require('./dates');
+const { log } = require('./logger');
+
+const PERIODS = ['month', 'quarter'];
+const TICKER_COLUMNS = ['ticker', 'symbol'];
+const PRICE_COLUMNS = ['adjusted', 'adj_close', 'adj close', 'adjclose', 'close', 'price']; // In order of preference
+const PANEL_COLUMNS = [
+    'company', 'ticker', 'period', 'reviews', 'rating_mean', 'rating_median', 'rating_sd', 'share_low', 'sentiment_mean',
+    'return', 'benchmark_return', 'excess_return'
+];
+
+const round = (value) => (value === null || !isFinite(value) ? null : Number(value.toFixed(4)));
+const mean = (values) => (values.length ? values.reduce((a, b) => a + b, 0) / values.length : null);
+
+// "2025-11-28" -> "2025-11" (month) or "2025-Q4" (quarter)
+function periodOf(date, period) {
+    const [year, month] = date.split('-').map(Number);
+    return period === 'quarter' ? `${year}-Q${Math.ceil(month / 3)}` : `${year}-${String(month).padStart(2, '0')}`;
+}
+
+// The period k steps after key (k may be negative)
+function shiftPeriod(key, k, period) {
+    const [year, part] = key.split(/-Q?/).map(Number);
+    const size = period === 'quarter' ? 4 : 12;
+    const index = year * size + (part - 1) + k;
+    const next = { year: Math.floor(index / size), part: (index % size) + 1 };
+    return period === 'quarter' ? `${next.year}-Q${next.part}` : `${next.year}-${String(next.part).padStart(2, '0')}`;
+}
+
+function median(values) {
+    if (!values.length) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+// Sample standard deviation; null below two values
+function sd(values) {
+    if (values.length < 2) return null;
+    const m = mean(values);
+    return Math.sqrt(values.reduce((sum, v) => sum + (v - m) ** 2, 0) / (values.length - 1));
+}
+
+function reviewStats(records) {
+    const ratings = records.map(r => r.rating).filter(r => typeof r === 'number');
+    const sentiment = records.map(r => r.sentiment_net).filter(s => typeof s === 'number');
+    return {
+        reviews: records.length,
+        rating_mean: round(mean(ratings)),
+        rating_median: round(median(ratings)),
+        rating_sd: round(sd(ratings)),
+        share_low: ratings.length ? round(ratings.filter(r => r <= 2).length / ratings.length) : null,
+        sentiment_mean: round(mean(sentiment))
+    };
+}
+
+// Minimal RFC 4180 reader: quoted fields, doubled quotes, CRLF
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    for (let i = 0; i < text.length; i++) {
+        const c = text[i];
+        if (quoted) {
+            if (c === '"' && text[i + 1] === '"') { field += '"'; i++; } else if (c === '"') quoted = false;
+            else field += c;
+        } else if (c === '"') {
+            quoted = true;
+        } else if (c === ',') {
+            row.push(field);
+            field = '';
+        } else if (c === '\n' || c === '\r') {
+            if (c === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += c;
+        }
+    }
+    if (field !== '' || row.length) rows.push([...row, field]);
+    return rows.filter(r => r.some(f => f.trim() !== ''));
+}
+
+/**
+ * Price series from a long or wide CSV: Map ticker -> [{ date, close }] sorted by date.
+ * Long files without a ticker column are one series named after the price column.
+ */
+function parsePrices(text, file) {
+    const [header, ...rows] = parseCsv(text.replace(/^\uFEFF/, ''));
+    if (!header) throw new Error(`${file} is empty`);
+    const names = header.map(h => h.trim().toLowerCase());
+    const dateCol = names.indexOf('date');
+    if (dateCol === -1) throw new Error(`${file} needs a "date" column`);
+
+    const tickerCol = names.findIndex(n => TICKER_COLUMNS.includes(n));
+    const priceName = PRICE_COLUMNS.find(n => names.includes(n));
+    // [series name, column index] pairs; wide files have one per non-date column
+    const columns = priceName
+        ? [[null, names.indexOf(priceName)]]
+        : header.map((h, i) => [h.trim(), i]).filter(([, i]) => i !== dateCol && i !== tickerCol);
+
+    const series = new Map();
+    let skipped = 0;
+    for (const row of rows) {
+        const date = toIsoDate(row[dateCol]);
+        for (const [name, col] of columns) {
+            const ticker = name || (tickerCol !== -1 ? (row[tickerCol] || '').trim() : priceName);
+            const close = parseFloat(row[col]);
+            if (!date || !ticker || !(close > 0)) {
+                skipped++;
+                continue;
+            }
+            if (!series.has(ticker)) series.set(ticker, []);
+            series.get(ticker).push({ date, close });
+        }
+    }
+    if (skipped > 0) log.warn(`   ! ${file}: skipped ${skipped} rows without a date or positive price`);
+    for (const points of series.values()) points.sort((a, b) => a.date.localeCompare(b.date));
+    return series;
+}
+
+function loadPrices(file) {
+    return parsePrices(fs.readFileSync(file, 'utf8'), file);
+}
+
+// Period -> log return from the last close of the previous period to this one's; periods without a previous close are left out
+function periodReturns(points, period) {
+    const lastClose = new Map();
+    for (const { date, close } of points) lastClose.set(periodOf(date, period), close); // Sorted, so the last write wins
+    const returns = new Map();
+    for (const [key, close] of lastClose) {
+        const previous = lastClose.get(shiftPeriod(key, -1, period));
+        if (previous) returns.set(key, Math.log(close / previous));
+    }
+    return returns;
+}
+
+/**
+ * reviews: stored records; companies: config entries ({ name, ticker });
+ * prices: Map ticker -> points or null; benchmark: points or null; lags: integers >= 0.
+ * Every company gets a row for each period with reviews or a return.
+ */
+function buildPanel(reviews, { companies, period = 'month', prices = null, benchmark = null, lags = [] }) {
+    if (!PERIODS.includes(period)) throw new Error(`Unknown period "${period}" (expected ${PERIODS.join(', ')})`);
+    const leads = Array.from(new Set(lags.map(Number))).filter(k => k > 0).sort((a, b) => a - b);
+    const benchmarkReturns = benchmark ? periodReturns(benchmark, period) : new Map();
+
+    const names = Array.from(new Set([...companies.map(c => c.name), ...reviews.map(r => r.company)]));
+    const rows = [];
+    for (const name of names) {
+        const company = companies.find(c => c.name === name) || { name, ticker: null };
+        const byPeriod = new Map();
+        for (const review of reviews) {
+            if (review.company !== name || !review.date) continue;
+            const key = periodOf(review.date, period);
+            if (!byPeriod.has(key)) byPeriod.set(key, []);
+            byPeriod.get(key).push(review);
+        }
+
+        let returns = new Map();
+        if (prices && company.ticker) {
+            if (prices.has(company.ticker)) returns = periodReturns(prices.get(company.ticker), period);
+            else log.warn(`   ! No prices for ${name} (${company.ticker})`);
+        }
+        const excess = (key) => (returns.has(key) && benchmarkReturns.has(key) ? returns.get(key) - benchmarkReturns.get(key) : null);
+
+        const keys = Array.from(new Set([...byPeriod.keys(), ...returns.keys()])).sort();
+        for (const key of keys) {
+            const row = {
+                company: name,
+                ticker: company.ticker,
+                period: key,
+                ...reviewStats(byPeriod.get(key) || []),
+                return: round(returns.has(key) ? returns.get(key) : null),
+                benchmark_return: round(benchmarkReturns.has(key) ? benchmarkReturns.get(key) : null),
+                excess_return: round(excess(key))
+            };
+            for (const k of leads) row[`excess_return_lead${k}`] = round(excess(shiftPeriod(key, k, period)));
+            rows.push(row);
+        }
+    }
+    return { rows, columns: [...PANEL_COLUMNS, ...leads.map(k => `excess_return_lead${k}`)] };
+}
+
+module.exports = { PERIODS, periodOf, shiftPeriod, parseCsv, parsePrices, loadPrices, periodReturns, buildPanel };
@@ -0,0 +1,288 @@
+/**
+ * REVIEW CARD PARSER
+ * ------------------------------------------------
+ * Pure DOM parsing with no Playwright dependency.
+ * createParser() must stay self-contained (no references to module scope):
+ * its source is shipped into the live browser page, and the same code runs
+ * against saved HTML during replay. Its selectors come from the registry
+ * (scraper/selectors.js) as an argument for the same reason.
+ */
+
+const { parserSelectors } = require('./selectors');
+
+// selectors: { name: [ordered fallback chain] }, see parserSelectors()
+function createParser(selectors) {
+    // Helper to get block of text between keywords
+    const getSection = (text, startKeyword, endKeywords) => {
+        if (!text.includes(startKeyword)) return null;
+
+        let startIndex = text.indexOf(startKeyword) + startKeyword.length;
+        let endIndex = text.length;
+
+        // Find the nearest end keyword
+        for (const key of endKeywords) {
+            const idx = text.indexOf(key, startIndex);
+            if (idx !== -1 && idx < endIndex) {
+                endIndex = idx;
+            }
+        }
+
+        // Only strip the separator after the keyword; punctuation inside the text is kept for sentiment work
+        return text.substring(startIndex, endIndex).replace(/^[\s:\-\u2013\u2014]+/, '').trim() || null;
+    };
+
+    const getText = (el) => (el.innerText || el.textContent || "");
+
+    // First element matched by the earliest selector in the chain
+    const queryFirst = (root, name) => {
+        for (const selector of selectors[name]) {
+            const el = root.querySelector(selector);
+            if (el) return el;
+        }
+        return null;
+    };
+
+    // Category ratings: output field -> labels Glassdoor has used for it
+    const SUB_RATINGS = {
+        rating_work_life: ['Work/Life Balance', 'Work-Life Balance'],
+        rating_culture: ['Culture & Values', 'Culture and Values'],
+        rating_diversity: ['Diversity & Inclusion', 'Diversity and Inclusion'],
+        rating_career: ['Career Opportunities'],
+        rating_compensation: ['Compensation and Benefits', 'Compensation & Benefits'],
+        rating_senior_management: ['Senior Management']
+    };
+
+    // Recommend / CEO Approval / Business Outlook
+    const INDICATORS = {
+        recommend: ['Recommend'],
+        ceo_approval: ['CEO Approval', 'Approves of CEO', 'CEO'],
+        business_outlook: ['Business Outlook', 'Outlook']
+    };
+
+    const toNumber = (value) => {
+        const match = String(value || '').match(/\b([0-5](?:\.\d)?)\b/);
+        return match ? Number(match[1]) : null;
+    };
+
+    // Smallest elements whose own text is exactly one of the labels
+    const findLabels = (card, labels) => {
+        const matches = Array.from(card.querySelectorAll('*')).filter(el => {
+            const own = getText(el).trim().toLowerCase();
+            return labels.some(l => own === l.toLowerCase());
+        });
+        return matches.filter(el => !matches.some(other => other !== el && el.contains(other)));
+    };
+
+    // Star value next to a label: aria-label/title/data attribute first, then visible text.
+    // ratingsText is the card text above the Pros heading, so prose like "Career Opportunities 5 ..." is not read
+    const subRating = (card, ratingsText, labels) => {
+        for (const label of findLabels(card, labels)) {
+            const row = label.parentElement;
+            if (!row) continue;
+            for (const el of [row, ...row.querySelectorAll('*')]) {
+                if (el === label) continue;
+                for (const attr of ['aria-label', 'title', 'data-rating']) {
+                    const value = toNumber(el.getAttribute(attr));
+                    if (value !== null) return value;
+                }
+            }
+            const value = toNumber(getText(row).replace(getText(label), ''));
+            if (value !== null) return value;
+        }
+        for (const label of labels) {
+            const escaped = label.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+            const match = ratingsText.match(new RegExp(`${escaped}\\s*([0-5](?:\\.\\d)?)\\b`, 'i'));
+            if (match) return Number(match[1]);
+        }
+        return null;
+    };
+
+    // aria-label / title / data-test text, matched on whole words
+    const classifyIndicator = (value) => {
+        const v = String(value || '').toLowerCase();
+        if (/no opinion|\bneutral\b|\bneither\b|\bmixed\b|\bdash\b/.test(v)) return 'neutral';
+        if (/\bnegative\b|\bdisapproves?\b|doesn.t recommend|not recommend|^no$|\bx-?mark\b|\bred\b/.test(v)) return 'negative';
+        if (/\bpositive\b|\bapproves?\b|\brecommends?\b|^yes$|\bcheck(?:mark)?\b|\bgreen\b/.test(v)) return 'positive';
+        return null;
+    };
+
+    // Icon classes that carry the state. Whole tokens only: utility classes
+    // like "text-no-wrap", "dashboard-icon" or "checkbox" must not decide it
+    const INDICATOR_CLASSES = {
+        positive: ['icon_positive', 'positive', 'checkmark', 'green'],
+        negative: ['icon_negative', 'negative', 'xmark', 'red'],
+        neutral: ['icon_neutral', 'neutral', 'dash']
+    };
+    const classifyIconClass = (el) => {
+        for (const [value, tokens] of Object.entries(INDICATOR_CLASSES)) {
+            if (tokens.some(token => el.classList.contains(token))) return value;
+        }
+        return null;
+    };
+
+    // Icons carry the state in aria-label/title/data-test or a known icon class; look at the label's row
+    const indicator = (card, labels) => {
+        for (const label of findLabels(card, labels)) {
+            const row = label.parentElement;
+            if (!row) continue;
+            for (const el of [row, ...row.querySelectorAll('*')]) {
+                if (el === label) continue;
+                for (const attr of ['aria-label', 'title', 'data-test']) {
+                    const value = classifyIndicator(el.getAttribute(attr));
+                    if (value) return value;
+                }
+                const value = classifyIconClass(el);
+                if (value) return value;
+            }
+        }
+        return null;
+    };
+
+    // "Current Employee, more than 3 years" / "Engineer in Calgary, AB" / "Calgary, AB".
+    // metaLines: the reviewer line and the lines under it, up to the Pros heading
+    const parseReviewer = (text, jobTitle, metaLines) => {
+        const reviewer = { employment_status: null, tenure: null, role: null, location: null };
+
+        const status = text.match(/\b(Current|Former)\s+(?:Employee|Contractor|Intern)/i);
+        if (status) reviewer.employment_status = status[1].toLowerCase();
+
+        const tenure = text.match(/\b((?:less|more) than (?:a|an|\d+) years?)\b/i);
+        if (tenure) reviewer.tenure = tenure[1].toLowerCase();
+
+        for (const part of (jobTitle || '').split(/\s+[-|]\s+/)) {
+            const segment = part.trim();
+            if (!segment || /\b(Current|Former)\s+(Employee|Contractor|Intern)/i.test(segment)) continue;
+            const withLocation = segment.match(/^(.*?)\s+in\s+(.+)$/);
+            if (withLocation) {
+                reviewer.role = reviewer.role || withLocation[1].trim() || null;
+                reviewer.location = reviewer.location || withLocation[2].trim();
+            } else if (!reviewer.role && !/^(Anonymous Employee)$/i.test(segment)) {
+                reviewer.role = segment;
+            }
+        }
+
+        if (!reviewer.location) {
+            const locationLine = metaLines
+                .find(l => l.length < 40 && /^[A-Z][A-Za-z .'-]+,\s+[A-Z][A-Za-z .]+$/.test(l) && !/\d{4}$/.test(l));
+            if (locationLine) reviewer.location = locationLine;
+        }
+        return reviewer;
+    };
+
+    const parseReviewCard = (card) => {
+        const text = getText(card);
+
+        // FILTER GARBAGE:
+        if (text.includes("(in ") && text.includes("reviews)")) return null;
+        if (text.length < 50) return null;
+        const ratingEl = queryFirst(card, 'ratingNumber');
+        if (!text.includes("Star") && !ratingEl) return null;
+
+        // Try to find rating
+        let rating = null;
+        if (ratingEl) rating = getText(ratingEl).trim();
+        if (!rating) {
+            const match = text.match(/^[0-5]\.\d/);
+            if (match) rating = match[0];
+        }
+
+        // Extract Date explicitly using Regex (e.g. "Nov 28, 2025")
+        let date = null;
+        // Regex looks for "Month DD, YYYY" pattern
+        const dateMatch = text.match(/([A-Z][a-z]{2,9}\s\d{1,2},\s\d{4})/);
+        if (dateMatch) {
+            date = dateMatch[1];
+        }
+
+        // Extract Title (Clickable link usually)
+        // The link also carries Glassdoor's own review ID, e.g. ".../Employee-Review-Suncor-RVW12345678.htm"
+        let title = null;
+        let reviewUrl = null;
+        let reviewId = null;
+        const link = queryFirst(card, 'reviewLink');
+        if (link) {
+            title = getText(link).trim();
+            reviewUrl = link.getAttribute('href');
+            const idMatch = reviewUrl && reviewUrl.match(/RVW(\d+)/);
+            if (idMatch) reviewId = `RVW${idMatch[1]}`;
+        }
+
+        // Extract Job Title / Status (e.g. "Current Employee")
+        // Usually appears right after the date text
+        let jobTitle = null;
+        if (date) {
+            // Find text line containing the date
+            const lines = text.split('\n');
+            const dateLine = lines.find(l => l.includes(date));
+            if (dateLine) {
+                // Often looks like "Nov 28, 2025 - Current Employee - Engineer"
+                jobTitle = dateLine.replace(date, '').replace(/^[\s\-\|]+/, '').trim();
+            }
+        }
+
+        // Extract Pros / Cons using keyword boundaries
+        let pros = getSection(text, 'Pros', ['Cons', 'Advice to Management', 'Helpful']);
+        let cons = getSection(text, 'Cons', ['Advice to Management', 'Helpful']);
+        let advice = getSection(text, 'Advice to Management', ['Helpful']);
+
+        // Only return if valid review
+        if (rating && (pros || cons || title)) {
+            const review = { rating, date, title, job_title: jobTitle, pros, cons, advice, review_id: reviewId, review_url: reviewUrl };
+
+            // The card above the Pros heading: rating block, title and reviewer lines, no review prose
+            const header = text.includes('Pros') ? text.slice(0, text.indexOf('Pros')) : text;
+            const headerLines = header.split('\n').map(l => l.trim()).filter(Boolean);
+            const dateIndex = date ? headerLines.findIndex(l => l.includes(date)) : -1;
+            const metaLines = dateIndex === -1 ? [] : headerLines.slice(dateIndex).filter(l => l !== title);
+
+            // Category ratings, indicators and reviewer details (null when the card has none)
+            for (const [field, labels] of Object.entries(SUB_RATINGS)) review[field] = subRating(card, header, labels);
+            for (const [field, labels] of Object.entries(INDICATORS)) review[field] = indicator(card, labels);
+            return Object.assign(review, parseReviewer(text, jobTitle, metaLines));
+        }
+        return null;
+    };
+
+    // Cards found by one parse strategy on its own
+    const extractWith = (root, strategy) => {
+        let cards;
+        if (strategy === 'li') {
+            // Standard: one review per list item
+            cards = Array.from(root.querySelectorAll('li'));
+        } else {
+            // Fallback: innermost divs that contain Pros, Cons and a rating (a short feed fits under
+            // the length cap too, so keeping the outermost match would merge its cards)
+            const divs = Array.from(root.querySelectorAll('div'));
+            const reviewDivs = divs.filter(d => {
+                const text = getText(d);
+                return text.includes('Pros') && text.includes('Cons') && text.length < 2000 && (text.includes('Star') || queryFirst(d, 'ratingNumber'));
+            });
+            cards = reviewDivs.filter(d => !reviewDivs.some(other => other !== d && d.contains(other)));
+        }
+        const results = cards.map(parseReviewCard).filter(r => r !== null);
+        results.forEach(r => { r.parse_strategy = strategy; });
+        return results;
+    };
+
+    const extractReviews = (root) => {
+        // 1. Try "Li" elements first (Standard)
+        const results = extractWith(root, 'li');
+
+        // 2. If filtering yields nothing, try "Divs" with specific text (Fallback)
+        return results.length > 0 ? results : extractWith(root, 'div');
+    };
+
+    return { parseReviewCard, extractWith, extractReviews, strategies: ['li', 'div'] };
+}
+
+const { parseReviewCard, extractReviews } = createParser(parserSelectors());
+
+// Source that builds the parser inside a page, with the registry's selectors baked in
+const parserSource = () => `(${createParser.toString()})(${JSON.stringify(parserSelectors())})`;
+
+// Run the parser inside a live Playwright page (serialized, so it sees the real document)
+function extractReviewsFromPage(page) {
+    return page.evaluate(`${parserSource()}.extractReviews(document)`);
+}
+
+module.exports = { createParser, parserSource, parseReviewCard, extractReviews, extractReviewsFromPage };
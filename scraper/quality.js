@@ -0,0 +1,114 @@
+/**
+ * DATA-QUALITY REPORT
+ * ------------------------------------------------
+ * Per-company summary written after every run, so thin or odd companies
+ * are flagged before they reach the analysis instead of being dropped by
+ * hand in the report.
+ */
+
+const fs = require('fs');
+const { log } = require('./logger');
+
+const share = (n, total) => (total > 0 ? Number((n / total).toFixed(3)) : null);
+
+// Resumed and incremental runs quarantine the same invalid review again; count each review_id once
+function uniqueQuarantine(quarantine) {
+    const byId = new Map();
+    quarantine.forEach((entry, i) => byId.set((entry.record && entry.record.review_id) || `line ${i}`, entry));
+    return Array.from(byId.values());
+}
+
+function companyQuality(company, records, quarantined, { minReviews, maxMissingShare }) {
+    const dates = records.map(r => r.date).filter(Boolean).sort();
+    const ratings = records.map(r => r.rating).filter(r => typeof r === 'number');
+    const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+    for (const rating of ratings) distribution[Math.min(5, Math.max(1, Math.round(rating)))]++;
+
+    const strategies = {};
+    const sources = {};
+    for (const r of records) {
+        const key = r.parse_strategy || 'unknown';
+        strategies[key] = (strategies[key] || 0) + 1;
+        const site = r.source || 'glassdoor';
+        sources[site] = (sources[site] || 0) + 1;
+    }
+    // Reviews with a free-text body (Indeed) may leave pros/cons out without losing text
+    const sectioned = records.filter(r => !r.body);
+
+    const mean = ratings.length ? ratings.reduce((a, b) => a + b, 0) / ratings.length : null;
+    const sd = ratings.length > 1
+        ? Math.sqrt(ratings.reduce((a, b) => a + (b - mean) ** 2, 0) / (ratings.length - 1))
+        : null;
+
+    const report = {
+        company,
+        reviews: records.length,
+        quarantined,
+        first_date: dates[0] || null,
+        last_date: dates[dates.length - 1] || null,
+        mean_rating: mean === null ? null : Number(mean.toFixed(3)),
+        sd_rating: sd === null ? null : Number(sd.toFixed(3)),
+        rating_distribution: distribution,
+        share_missing_pros: share(sectioned.filter(r => !r.pros).length, sectioned.length),
+        share_missing_cons: share(sectioned.filter(r => !r.cons).length, sectioned.length),
+        sources,
+        parse_strategy: strategies,
+        flags: []
+    };
+
+    if (records.length === 0) report.flags.push('no_reviews');
+    else if (records.length < minReviews) report.flags.push(`thin (< ${minReviews} reviews)`);
+    if (report.share_missing_pros > maxMissingShare || report.share_missing_cons > maxMissingShare) {
+        report.flags.push('missing_pros_cons');
+    }
+    if (sd === 0 && records.length >= 5) report.flags.push('constant_rating');
+    if ((strategies.div || 0) > records.length / 2) report.flags.push('fallback_parser');
+    if (share(quarantined, records.length + quarantined) > maxMissingShare) report.flags.push('high_quarantine');
+    return report;
+}
+
+/**
+ * records: valid stored reviews; quarantineLines: [{ reasons, record }] as read from the quarantine file
+ * Companies come from the config so a company that produced nothing still shows up.
+ */
+function buildQualityReport(records, quarantineLines, { companies, minReviews = 100, maxMissingShare = 0.1, staleDays = 365 }) {
+    const quarantine = uniqueQuarantine(quarantineLines);
+    const names = Array.from(new Set([...companies, ...records.map(r => r.company)]));
+    const reports = names.map(name => companyQuality(
+        name,
+        records.filter(r => r.company === name),
+        quarantine.filter(q => q.record && q.record.company === name).length,
+        { minReviews, maxMissingShare }
+    ));
+
+    // "Stale" is relative to the newest review overall so the report is reproducible
+    const newest = reports.map(r => r.last_date).filter(Boolean).sort().pop();
+    for (const report of reports) {
+        if (newest && report.last_date && (Date.parse(newest) - Date.parse(report.last_date)) / 86400000 > staleDays) {
+            report.flags.push(`stale (last review ${report.last_date})`);
+        }
+    }
+
+    return {
+        generatedAt: new Date().toISOString(),
+        thresholds: { minReviews, maxMissingShare, staleDays },
+        totals: {
+            reviews: records.length,
+            quarantined: quarantine.length,
+            flagged_companies: reports.filter(r => r.flags.length > 0).length
+        },
+        companies: reports
+    };
+}
+
+function writeQualityReport(file, report) {
+    fs.writeFileSync(file, JSON.stringify(report, null, 2));
+    log.info(`\n--- QUALITY REPORT (${file}) ---`);
+    for (const r of report.companies) {
+        const range = r.first_date ? `${r.first_date} to ${r.last_date}` : 'no dates';
+        const flags = r.flags.length ? `  ! ${r.flags.join(', ')}` : '';
+        log.info(`   ${r.company}: ${r.reviews} reviews, ${r.quarantined} quarantined, ${range}${flags}`);
+    }
+}
+
+module.exports = { buildQualityReport, writeQualityReport };
@@ -0,0 +1,89 @@
+/**
+ * OFFLINE REPLAY
+ * ------------------------------------------------
+ * Re-parses the debug_<Company>.html dumps in DEBUG_DIR without touching
+ * Glassdoor (indeed_<Company>.html with --source indeed: each source's
+ * dumps start with its dumpPrefix). Pages are loaded into a headless
+ * browser with JavaScript and network disabled, so innerText matches what
+ * the live scraper sees. Each dump starts with the URL it was saved from
+ * (as browsers write it), which gives the records their employer; older
+ * dumps without it fall back to the employer cache.
+ */
+
+const { chromium } = require('playwright');
+const fs = require('fs');
+const path = require('path');
+const { getSource } = require('./sources');
+const { log } = require('./logger');
+
+// "debug_SuncorEnergy.html" or "debug_SuncorEnergy_p3.html" (prefix "debug")
+const dumpPattern = (prefix) => new RegExp(`^${prefix}_(.+?)(?:_p(\\d+))?\\.html$`);
+
+// "<!-- saved from url=(0042)https://... -->", the marker browsers put on saved pages
+function savedFromComment(url) {
+    return `<!-- saved from url=(${String(url.length).padStart(4, '0')})${url} -->\n`;
+}
+
+function savedFromUrl(html) {
+    const match = html.match(/^\s*<!-- saved from url=\(\d+\)(\S+) -->/);
+    return match ? match[1] : null;
+}
+
+// Map the space-stripped file name back to the configured company name
+function companyFromFile(fileName, companies, prefix = 'debug') {
+    const match = fileName.match(dumpPattern(prefix));
+    if (!match) return null;
+    const key = match[1];
+    const known = companies.find(c => c.replace(/\s/g, '') === key);
+    return { company: known || key, page: match[2] ? Number(match[2]) : null };
+}
+
+function listDumps(dir, prefix = 'debug') {
+    if (!fs.existsSync(dir)) return [];
+    return fs.readdirSync(dir)
+        .filter(f => dumpPattern(prefix).test(f))
+        .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }))
+        .map(f => path.join(dir, f));
+}
+
+// Load each saved page into one offline headless page and call fn(page, file, html)
+async function withSavedPages(files, fn) {
+    const browser = await chromium.launch({ headless: true });
+    const context = await browser.newContext({ javaScriptEnabled: false });
+    await context.route('**/*', route => route.abort());
+    const page = await context.newPage();
+
+    try {
+        for (const file of files) {
+            const html = fs.readFileSync(file, 'utf8');
+            await page.setContent(html, { waitUntil: 'domcontentloaded' });
+            await fn(page, file, html);
+        }
+    } finally {
+        await browser.close();
+    }
+}
+
+// employers: company -> { employerId, url }, for dumps saved without their URL (e.g. from the employer cache)
+async function replayFiles(files, { companies = [], employers = {}, onPage, source = getSource('glassdoor') } = {}) {
+    const dumps = files.filter(file => companyFromFile(path.basename(file), companies, source.dumpPrefix));
+    const results = [];
+
+    await withSavedPages(dumps, async (page, file, html) => {
+        const info = companyFromFile(path.basename(file), companies, source.dumpPrefix);
+        const savedFrom = savedFromUrl(html);
+        const known = employers[info.company] || {};
+        const employer = {
+            employer_id: (savedFrom && source.employerIdFromUrl(savedFrom)) || known.employerId || null,
+            employer_url: savedFrom ? source.canonicalReviewsUrl(savedFrom) : known.url || null
+        };
+        const reviews = (await source.extractReviews(page)).map(r => ({ company: info.company, source: source.name, ...employer, ...r }));
+
+        log.info(`   ${path.basename(file)}: ${reviews.length} reviews (${info.company})`);
+        if (onPage) await onPage(reviews, info);
+        results.push(...reviews);
+    });
+    return results;
+}
+
+module.exports = { replayFiles, withSavedPages, listDumps, companyFromFile, savedFromComment, savedFromUrl };
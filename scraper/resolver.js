@@ -0,0 +1,114 @@
+/**
+ * COMPANY RESOLUTION
+ * ------------------------------------------------
+ * Scores the links on a search results page against the company name, so
+ * "Canadian Natural Resources" cannot silently land on some other
+ * "Canadian ..." employer. Confirmed matches are cached as
+ * name -> employer ID / reviews URL and reused on later runs (keyed
+ * "<source>:<name>" for sources other than Glassdoor).
+ */
+
+const fs = require('fs');
+const { writeAtomic } = require('./store');
+
+// Legal suffixes that should not count for or against a match
+const STOP_WORDS = new Set(['inc', 'ltd', 'limited', 'corp', 'corporation', 'co', 'company', 'the', 'plc', 'llc', 'lp']);
+
+// ".../Enbridge-Reviews-E2876.htm", ".../Working-at-Enbridge-EI_IE2876.11,19.htm", "..._P2.htm"
+function employerIdFromUrl(url) {
+    const match = String(url || '').match(/(?:-E|EI_IE)(\d+)(?=[._])/);
+    return match ? match[1] : null;
+}
+
+function nameTokens(name) {
+    return String(name || '').toLowerCase()
+        .replace(/&/g, ' and ')
+        .replace(/[^a-z0-9 ]+/g, ' ')
+        .split(/\s+/)
+        .filter(t => t && !STOP_WORDS.has(t));
+}
+
+// Dice coefficient over name tokens, 0..1
+function nameSimilarity(a, b) {
+    const ta = nameTokens(a);
+    const tb = nameTokens(b);
+    if (ta.length === 0 || tb.length === 0) return 0;
+    if (ta.join(' ') === tb.join(' ')) return 1;
+    const setB = new Set(tb);
+    const shared = new Set(ta.filter(t => setB.has(t))).size;
+    return (2 * shared) / (new Set(ta).size + setB.size);
+}
+
+/**
+ * Rank search-result links ({ text, href }) for one company.
+ * Links without an employer ID are discounted; links to the same employer
+ * are merged, keeping the best-matching text. idFromUrl reads the source's
+ * employer ID out of a link (Glassdoor's by default).
+ */
+function scoreCandidates(companyName, links, idFromUrl = employerIdFromUrl) {
+    const byEmployer = new Map();
+    for (const link of links) {
+        const employerId = idFromUrl(link.href);
+        const similarity = nameSimilarity(companyName, link.text);
+        if (similarity === 0) continue;
+
+        const score = employerId ? similarity : similarity * 0.5;
+        const key = employerId || link.href;
+        const current = byEmployer.get(key);
+        if (!current || score > current.score) {
+            byEmployer.set(key, { name: link.text, href: link.href, employerId, score: Number(score.toFixed(3)) });
+        }
+    }
+    return Array.from(byEmployer.values()).sort((x, y) => y.score - x.score);
+}
+
+/**
+ * Pick the best candidate. It is only "confident" when it clears minConfidence
+ * and no other employer scores within `margin` of it.
+ */
+function chooseCandidate(candidates, { minConfidence = 0.8, margin = 0.05 } = {}) {
+    const [best, runnerUp] = candidates;
+    if (!best) return { best: null, confident: false, reason: 'no matching results' };
+    if (best.score < minConfidence) {
+        return { best, confident: false, reason: `best match "${best.name}" scored ${best.score} (< ${minConfidence})` };
+    }
+    if (runnerUp && best.score - runnerUp.score < margin) {
+        return { best, confident: false, reason: `ambiguous: "${best.name}" and "${runnerUp.name}" both scored ~${best.score}` };
+    }
+    return { best, confident: true, reason: null };
+}
+
+function reviewsUrlFor(baseUrl, companyName, employerId) {
+    const slug = companyName.replace(/[^A-Za-z0-9]+/g, '-');
+    return `${baseUrl}/Reviews/${slug}-Reviews-E${employerId}.htm`;
+}
+
+// Reviews landing page without paging or sort parameters
+function canonicalReviewsUrl(url) {
+    return String(url).split(/[?#]/)[0].replace(/_P\d+(?=\.htm$)/, '');
+}
+
+function employerCacheKey(source, companyName) {
+    return source === 'glassdoor' ? companyName : `${source}:${companyName}`;
+}
+
+function loadEmployerCache(file) {
+    if (!fs.existsSync(file)) return {};
+    try { return JSON.parse(fs.readFileSync(file)); } catch (e) { return {}; }
+}
+
+function saveEmployerCache(file, cache) {
+    writeAtomic(file, JSON.stringify(cache, null, 2));
+}
+
+module.exports = {
+    employerIdFromUrl,
+    nameSimilarity,
+    scoreCandidates,
+    chooseCandidate,
+    reviewsUrlFor,
+    canonicalReviewsUrl,
+    employerCacheKey,
+    loadEmployerCache,
+    saveEmployerCache
+};
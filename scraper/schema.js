@@ -0,0 +1,117 @@
+/**
+ * REVIEW RECORD SCHEMA
+ * ------------------------------------------------
+ * Every scraped record is normalized (numeric ratings, ISO dates) and
+ * validated before it reaches the output file. Records that fail are
+ * quarantined with the reasons instead of silently polluting the data.
+ */
+
+const { toIsoDate, isIsoDate } = require('./dates');
+
+const INDICATOR_VALUES = ['positive', 'neutral', 'negative'];
+
+// field -> { type, required, optional, ... }. Fields not listed here pass through untouched.
+// Missing core fields are written as null; optional ones stay absent unless the record carries them
+const REVIEW_SCHEMA = {
+    company: { type: 'string', required: true },
+    source: { type: 'string' }, // Review site (scraper/sources/); missing on records from before adapters
+    review_id: { type: 'string', required: true },
+    rating: { type: 'number', required: true, min: 1, max: 5 },
+    date: { type: 'date', required: true },
+    title: { type: 'string' },
+    job_title: { type: 'string' },
+    pros: { type: 'string' },
+    cons: { type: 'string' },
+    advice: { type: 'string' },
+    body: { type: 'string', optional: true }, // Free-text review (Indeed); Glassdoor reviews are only pros/cons/advice
+    review_url: { type: 'string' },
+    employer_id: { type: 'string' },
+    employer_url: { type: 'string' },
+    rating_work_life: { type: 'number', min: 1, max: 5 },
+    rating_culture: { type: 'number', min: 1, max: 5 },
+    rating_diversity: { type: 'number', min: 1, max: 5 },
+    rating_career: { type: 'number', min: 1, max: 5 },
+    rating_compensation: { type: 'number', min: 1, max: 5 },
+    rating_senior_management: { type: 'number', min: 1, max: 5 },
+    recommend: { type: 'enum', values: INDICATOR_VALUES },
+    ceo_approval: { type: 'enum', values: INDICATOR_VALUES },
+    business_outlook: { type: 'enum', values: INDICATOR_VALUES },
+    employment_status: { type: 'enum', values: ['current', 'former'] },
+    tenure: { type: 'string' },
+    role: { type: 'string' },
+    location: { type: 'string' },
+    parse_strategy: { type: 'enum', values: ['li', 'div', 'card'] },
+    // Filled in by --sentiment / enrich (scraper/sentiment.js)
+    sentiment_title: { type: 'number', optional: true },
+    sentiment_pros: { type: 'number', optional: true },
+    sentiment_cons: { type: 'number', optional: true },
+    sentiment_advice: { type: 'number', optional: true },
+    sentiment_body: { type: 'number', optional: true },
+    sentiment_net: { type: 'number', optional: true },
+    tokens_title: { type: 'number', optional: true },
+    tokens_pros: { type: 'number', optional: true },
+    tokens_cons: { type: 'number', optional: true },
+    tokens_advice: { type: 'number', optional: true },
+    tokens_body: { type: 'number', optional: true },
+    language: { type: 'enum', values: ['en', 'fr', 'und'], optional: true },
+    sentiment_lexicon: { type: 'string', optional: true }
+};
+
+const isMissing = (value) => value === null || value === undefined || value === '';
+
+// Coerce the parser's strings into the schema's types; unparseable values are left for validation to reject
+function normalizeReview(record) {
+    const out = { ...record };
+    for (const [field, rule] of Object.entries(REVIEW_SCHEMA)) {
+        const value = out[field];
+        if (value === undefined && rule.optional) continue;
+        if (isMissing(value)) {
+            out[field] = null;
+        } else if (rule.type === 'number' && typeof value === 'string' && !isNaN(parseFloat(value))) {
+            out[field] = parseFloat(value);
+        } else if (rule.type === 'date' && typeof value === 'string') {
+            out[field] = toIsoDate(value) || value;
+        } else if (rule.type === 'string' && typeof value !== 'string') {
+            out[field] = String(value);
+        }
+    }
+    return out;
+}
+
+// List of problems with one normalized record (empty when valid)
+function validateReview(record) {
+    const errors = [];
+    for (const [field, rule] of Object.entries(REVIEW_SCHEMA)) {
+        const value = record[field];
+        if (isMissing(value)) {
+            if (rule.required) errors.push(`${field} is missing`);
+            continue;
+        }
+        if (rule.type === 'number') {
+            if (typeof value !== 'number' || isNaN(value)) errors.push(`${field} is not a number ("${value}")`);
+            else if (value < rule.min || value > rule.max) errors.push(`${field} ${value} is outside ${rule.min}-${rule.max}`);
+        } else if (rule.type === 'date' && !isIsoDate(value)) {
+            errors.push(`${field} is not a date ("${value}")`);
+        } else if (rule.type === 'enum' && !rule.values.includes(value)) {
+            errors.push(`${field} must be one of ${rule.values.join('/')} ("${value}")`);
+        }
+    }
+    if (isMissing(record.pros) && isMissing(record.cons) && isMissing(record.title)) {
+        errors.push('pros, cons and title are all missing');
+    }
+    return errors;
+}
+
+// Normalize a batch and split it into valid records and quarantined { reasons, record } entries
+function partitionReviews(records) {
+    const valid = [];
+    const invalid = [];
+    for (const record of records.map(normalizeReview)) {
+        const reasons = validateReview(record);
+        if (reasons.length === 0) valid.push(record);
+        else invalid.push({ reasons, record });
+    }
+    return { valid, invalid };
+}
+
+module.exports = { REVIEW_SCHEMA, normalizeReview, validateReview, partitionReviews };
@@ -0,0 +1,542 @@
+/**
+ * SCRAPER LIBRARY
+ * ------------------------------------------------
+ * The browser session behind the CLI's "scrape" command, usable from
+ * other Node programs. Site specifics (search, reviews page, card parsing,
+ * pagination) come from the config's source adapter, see scraper/sources/.
+ * Nothing runs on require:
+ *
+ *   const { createScraper, memorySink } = require('./nolan-enzo-will-glassdoor_scraper');
+ *   const scraper = createScraper({ config: 'glassdoor_companies.json', sinks: [memorySink()], fresh: true });
+ *   scraper.on('review', (review) => queue.push(review));
+ *   const outcome = await scraper.run();
+ *
+ * options: any config key (see scraper/config.js) plus
+ *   sinks          where valid reviews go (default: the JSONL store, see scraper/sinks.js)
+ *   resume, fresh  same as the CLI flags
+ * logLevel/logFormat apply to the shared logger (logLevel: 'silent' for none).
+ * Besides the sinks, a run keeps its checkpoint (stateFile), quarantine,
+ * quality report, manifests (manifestDir), employer cache and debug
+ * screenshots (debugDir) on disk; set any of those keys to null to skip it.
+ * Events: company:start, page, review (only reviews the primary sink did not
+ * hold yet), blocked, company:end, error (every failed company, and a run
+ * that stops on an unexpected error).
+ * Unlike a plain EventEmitter, "error" is dropped when nothing listens for it:
+ * a failed company is already in the manifest and the run's outcome, and
+ * must not crash the caller. A login wall or block rejects run() instead.
+ * run() opens the browser, scrapes every configured company and closes it.
+ * scrapeCompany(name) opens the browser on demand and leaves it open for
+ * further calls until close(). resume/fresh apply once per scraper: later
+ * sessions (e.g. scrapeCompany() after run()) continue the same checkpoint.
+ */
+
+const { chromium } = require('playwright');
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const { resolveConfig, normalizeCompany } = require('./config');
+const { UsageError } = require('./cli');
+const { resetData, withReviewId, knownReviews, appendQuarantine, loadQuarantine } = require('./store');
+const { jsonlSink } = require('./sinks');
+const { partitionReviews } = require('./schema');
+const { loadLexicon, scoreReview } = require('./sentiment');
+const { buildQualityReport, writeQualityReport } = require('./quality');
+const { filterNewReviews } = require('./incremental');
+const { scoreCandidates, chooseCandidate, employerCacheKey, loadEmployerCache, saveEmployerCache } = require('./resolver');
+const { newState, loadState, saveState, clearState, changedParams, companyProgress } = require('./checkpoint');
+const { log, configureLogger } = require('./logger');
+const { createManifest, STOP_REASONS } = require('./manifest');
+const { EXIT_CODES, BLOCKING_STATES, PageStateError, readPageState } = require('./pagestate');
+const { getSource } = require('./sources');
+const { savedFromComment } = require('./replay');
+
+// Ensure debug directory exists (null: no debug files)
+function ensureDebugDir(debugDir) {
+    if (debugDir && !fs.existsSync(debugDir)) {
+        fs.mkdirSync(debugDir, { recursive: true });
+    }
+}
+
+// Score (with --sentiment) and validate a batch, hand the valid records to every sink
+// and quarantine the rest. Counts and newRecords come from the first (primary) sink.
+async function persistReviews(config, records, sinks = [jsonlSink(config.store)]) {
+    if (config.sentiment) {
+        const lexicon = loadLexicon(config.sentimentLexicon);
+        records = records.map(r => scoreReview(r, lexicon));
+    }
+    const { valid, invalid } = partitionReviews(records.map(withReviewId));
+    if (config.quarantineFile) appendQuarantine(config.quarantineFile, invalid);
+    let counts = { added: 0, duplicates: 0, newRecords: [] };
+    if (valid.length > 0) {
+        const results = [];
+        for (const sink of sinks) results.push(await sink.write(valid));
+        const primary = results[0] || { added: valid.length, duplicates: 0 };
+        counts = { added: primary.added, duplicates: primary.duplicates, newRecords: primary.newRecords || valid };
+    }
+    for (const entry of invalid) {
+        log.warn(`   ! Quarantined ${entry.record.review_id}: ${entry.reasons.join('; ')}`);
+    }
+    return { ...counts, quarantined: invalid.length, valid };
+}
+
+// Rebuild the quality report from everything the primary sink holds (skipped when it cannot be read back)
+function reportQuality(config, sinks = [jsonlSink(config.store)]) {
+    if (!config.qualityReport || !sinks[0] || !sinks[0].load) return;
+    const report = buildQualityReport(sinks[0].load(), loadQuarantine(config.quarantineFile), {
+        companies: config.companies.map(c => c.name),
+        minReviews: config.minReviews
+    });
+    writeQualityReport(config.qualityReport, report);
+}
+
+// Decide between a fresh run and continuing from the checkpoint file
+function startRun(config, { resume, fresh }, sinks = [jsonlSink(config.store)]) {
+    const { stateFile } = config;
+    if (resume && fresh) throw new UsageError('Use either --resume or --fresh, not both');
+
+    let state = loadState(stateFile);
+    const existing = sinks.find(s => s.exists && s.exists());
+    if (fresh) {
+        for (const sink of sinks) {
+            if (sink.reset) sink.reset();
+        }
+        resetData(config.quarantineFile);
+        clearState(stateFile);
+        state = null;
+    } else if (resume) {
+        if (state) {
+            log.info(`--- RESUMING RUN STARTED ${state.startedAt} ---`);
+            const changed = changedParams(state, config);
+            if (changed.length > 0) log.warn(`   ! Parameters changed since the checkpoint: ${changed.join(', ')}`);
+        } else {
+            log.info("--- No checkpoint found. Starting a new run (existing data kept) ---");
+        }
+    } else if (config.incremental) {
+        // A finished checkpoint would skip every company, so incremental runs start a new one
+        log.info("--- INCREMENTAL RUN (existing data kept) ---");
+        clearState(stateFile);
+        state = null;
+    } else if (state || existing) {
+        throw new UsageError(`${existing ? existing.name : stateFile} already exists. Pass --resume to continue the previous run or --fresh to delete its data.`);
+    }
+
+    state = state || newState(config);
+    if (stateFile) saveState(stateFile, state);
+    return state;
+}
+
+function printRunSummary(state, source) {
+    log.info("\n--- RUN SUMMARY ---");
+    for (const [companyName, progress] of Object.entries(state.companies)) {
+        const employer = progress.employer ? `${source.displayId(progress.employer.employerId)} via ${progress.employer.source}, ` : '';
+        log.info(`   ${companyName}: ${progress.status}, ${employer}${progress.pagesDone} pages, ${progress.reviews} reviews, ${progress.duplicates} duplicates dropped, ${progress.quarantined || 0} quarantined`);
+    }
+}
+
+function createScraper(options = {}) {
+    const { sinks: sinkOption, resume, fresh, ...overrides } = options;
+    const config = resolveConfig(overrides);
+    configureLogger({ level: config.logLevel, format: config.logFormat });
+    const { debugDir, baseUrl } = config;
+    const source = getSource(config.source);
+    const sinks = sinkOption || [jsonlSink(config.store)];
+
+    const events = new EventEmitter();
+    // Dropped without a listener, see the header
+    const emitError = (error, context) => {
+        if (events.listenerCount('error') > 0) events.emit('error', error, context);
+    };
+
+    // Browser, checkpoint and manifest of the open run (null until open())
+    let session = null;
+    // Checkpoint state, started (and --fresh applied) by the first open() only
+    let runState = null;
+
+    // Screenshot (or HTML dump when html is given) into debugDir, listed in the company's manifest entry
+    const saveDebug = async (entry, fileName, html) => {
+        if (!debugDir) return;
+        const file = path.join(debugDir, fileName);
+        if (html === undefined) await session.page.screenshot({ path: file });
+        else fs.writeFileSync(file, html);
+        entry.debugFiles.push(file);
+    };
+
+    // Close the browser, record how the run ended and write the summary and quality report
+    const close = async (outcome = null) => {
+        if (!session) return null;
+        const { context, manifest, state } = session;
+        session = null;
+        await context.close();
+
+        const failed = Object.keys(manifest.data.companies).filter(name => manifest.data.companies[name].status === 'failed');
+        outcome = outcome || (failed.length > 0
+            ? { status: 'incomplete', reason: `failed: ${failed.join(', ')}`, exitCode: EXIT_CODES.incomplete }
+            : { status: 'ok', reason: null, exitCode: EXIT_CODES.ok });
+        manifest.finish(outcome);
+        printRunSummary(state, source);
+        reportQuality(config, sinks);
+        return outcome;
+    };
+
+    const abort = async (pageState) => {
+        log.error(`--- ABORTING: ${pageState.state} (${pageState.reason}) ---`, { url: pageState.url });
+        await close({ status: pageState.state, reason: pageState.reason, url: pageState.url, exitCode: EXIT_CODES[pageState.state] });
+        throw new PageStateError(pageState);
+    };
+
+    // Classify the page after every navigation. Login walls, blocks and rate limits abort a
+    // --non-interactive run; otherwise wait (up to manualWaitSeconds) for the user to clear them.
+    const checkPage = async (response = null) => {
+        const { page } = session;
+        let pageState = await readPageState(page, response, source.selectors);
+        if (!BLOCKING_STATES.includes(pageState.state)) return pageState;
+        events.emit('blocked', { ...pageState, waiting: !config.nonInteractive });
+        if (config.nonInteractive) return abort(pageState);
+
+        if (pageState.state === 'login') {
+            log.warn("--- LOGIN REQUIRED ---");
+            log.warn("   Please manually click 'Sign In' (top right) and log in.");
+        } else if (pageState.state === 'blocked') {
+            log.warn("--- BLOCKED BY FIREWALL ---");
+            log.warn("Please manually solve the CAPTCHA now.");
+        } else {
+            log.warn("--- RATE LIMITED ---");
+            log.warn(`   Reloading every minute until ${source.label} lets us back in.`);
+        }
+        log.warn(`   Waiting up to ${config.manualWaitSeconds} seconds...`);
+
+        const deadline = Date.now() + config.manualWaitSeconds * 1000;
+        let nextReload = Date.now() + 60000;
+        while (BLOCKING_STATES.includes(pageState.state)) {
+            if (Date.now() > deadline) return abort(pageState);
+            await page.waitForTimeout(2000);
+            let reloaded = null;
+            if (pageState.state === 'rate_limited' && Date.now() > nextReload) {
+                reloaded = await page.reload({ waitUntil: 'domcontentloaded' }).catch(() => null);
+                nextReload = Date.now() + 60000;
+            }
+            pageState = await readPageState(page, reloaded, source.selectors);
+        }
+        log.info("--- Page cleared! Continuing ---");
+        await page.waitForTimeout(3000);
+        return { ...pageState, waited: true };
+    };
+
+    // Start (or resume) the run, launch the browser and get past the homepage and login check
+    const open = async () => {
+        if (session) return session;
+        ensureDebugDir(debugDir);
+        const state = runState || (runState = startRun(config, { resume, fresh }, sinks));
+        const manifest = createManifest(config, 'scrape');
+        events.manifestFile = manifest.file;
+        if (manifest.file) log.info(`Run manifest: ${manifest.file}`, { runId: manifest.data.runId });
+
+        log.info("--- LAUNCHING BROWSER ---");
+    
+        // USE PERSISTENT CONTEXT (config.authDir stores the login data)
+        const context = await chromium.launchPersistentContext(config.authDir, {
+            headless: config.headless,
+            viewport: { width: 1920, height: 1080 }, // Desktop resolution
+            args: [
+                '--disable-blink-features=AutomationControlled', 
+                '--no-sandbox', 
+                '--disable-setuid-sandbox',
+                '--disable-infobars',
+                '--window-position=0,0'
+            ],
+            userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
+        });
+
+        // FIX: Reuse the default page instead of closing it
+        const page = context.pages().length > 0 ? context.pages()[0] : await context.newPage();
+
+        session = {
+            context,
+            page,
+            state,
+            manifest,
+            checkpoint: () => config.stateFile && saveState(config.stateFile, state),
+            // Only this source's reviews: another site's newer reviews must not stop pagination early
+            known: config.incremental && sinks[0].load
+                ? knownReviews(sinks[0].load().filter(r => (r.source || 'glassdoor') === source.name))
+                : new Map(),
+            employerCache: loadEmployerCache(config.employerCache)
+        };
+
+        // STEP 1: Go to Homepage
+        log.info(`1. Navigating to ${source.label} Homepage...`);
+        let homeResponse = null;
+        try {
+            homeResponse = await page.goto(source.homeUrl(baseUrl), { timeout: 60000, waitUntil: 'domcontentloaded' });
+        } catch (e) {
+            log.warn("   ! Error loading homepage. You might be IP blocked.");
+        }
+
+        // STEP 2: Check Block / Login State (waits for a manual login or CAPTCHA unless --non-interactive)
+        log.info("2. Checking Login Status...");
+        await page.waitForTimeout(3000);
+
+        const homeState = await checkPage(homeResponse);
+        if (!homeState.waited) {
+            log.info("--- ALREADY LOGGED IN (Session Loaded) ---");
+        }
+        return session;
+    };
+
+    // Scrape one company (a configured name, or any company entry); resolves to its manifest entry
+    const scrapeCompany = async (target) => {
+        const company = typeof target === 'string'
+            ? config.companies.find(c => c.name.toLowerCase() === target.trim().toLowerCase()) || normalizeCompany(target)
+            : normalizeCompany(target);
+        const { page, state, manifest, checkpoint, known, employerCache } = await open();
+
+        const companyName = company.name;
+        const maxPages = company.maxPages || config.maxPages;
+        const clog = log.child({ company: companyName });
+        const cacheKey = employerCacheKey(source.name, companyName);
+        const fileKey = companyName.replace(/\s/g, '');
+        const ctx = { baseUrl, checkPage, log: clog };
+
+        const entry = manifest.company(companyName);
+        const endCompany = () => {
+            events.emit('company:end', { company: companyName, ...entry });
+            return entry;
+        };
+        const progress = companyProgress(state, companyName);
+        if (progress.status === 'done') {
+            clog.info(`\nSkipping ${companyName} (done in checkpoint, ${progress.pagesDone} pages)`);
+            Object.assign(entry, { status: 'skipped', stopReason: 'skipped' });
+            return endCompany();
+        }
+        progress.status = 'in_progress';
+        entry.status = 'in_progress';
+        const fail = (stopReason, error = null) => {
+            progress.status = 'failed';
+            Object.assign(entry, { status: 'failed', stopReason, error });
+            checkpoint();
+            manifest.save();
+            emitError(new Error(`${companyName}: ${error || STOP_REASONS[stopReason]}`), { company: companyName, stopReason });
+        };
+
+        clog.info(`\nTargeting: ${companyName}`);
+        events.emit('company:start', { company: companyName, ticker: company.ticker, source: source.name });
+        let startPage = 0;
+        let resolution = { source: 'resume', employerId: null, confidence: null };
+        
+        try {
+            if (progress.resumeUrl || progress.lastUrl) {
+                // Continue where the previous run stopped (re-read the last saved page if Next was never clicked)
+                const resumeUrl = progress.resumeUrl || progress.lastUrl;
+                startPage = progress.resumeUrl ? progress.pagesDone : progress.pagesDone - 1;
+                clog.info(`   Resuming at page ${startPage + 1}: ${resumeUrl}`);
+                await checkPage(await page.goto(resumeUrl, { waitUntil: 'domcontentloaded' }));
+                await page.waitForTimeout(2000);
+            } else if (source.companyId(company) || employerCache[cacheKey]) {
+                // Known employer (config or cache): skip the search entirely
+                const cached = employerCache[cacheKey];
+                const configuredId = source.companyId(company);
+                const employerId = configuredId || cached.employerId;
+                const reviewsUrl = !configuredId && cached.reviewsUrl && cached.reviewsUrl.startsWith(baseUrl)
+                    ? cached.reviewsUrl
+                    : source.reviewsUrlFor(baseUrl, companyName, employerId);
+                resolution = { source: configuredId ? 'config' : 'cache', employerId, confidence: 1 };
+                clog.info(`   Using ${resolution.source} employer ID ${source.displayId(employerId)}: ${reviewsUrl}`);
+                await checkPage(await page.goto(reviewsUrl, { waitUntil: 'domcontentloaded' }));
+                await page.waitForTimeout(2000);
+            } else {
+                const search = await source.searchCompany(page, companyName, ctx);
+                if (!search) {
+                    clog.warn("   ! Could not find search input. Skipping.");
+                    await saveDebug(entry, `debug_no_search_input.png`);
+                    fail('not_found', 'search input not found');
+                    return endCompany();
+                }
+
+                // Score every result link against the name (and employer ID) instead of taking the first partial match
+                const candidates = scoreCandidates(companyName, search.links, source.employerIdFromUrl);
+                const { best, confident, reason } = chooseCandidate(candidates, { minConfidence: config.minConfidence });
+                for (const c of candidates.slice(0, 3)) {
+                    clog.info(`     candidate: "${c.name}" (${source.displayId(c.employerId)}) score ${c.score}`);
+                }
+
+                if (!best || (!confident && !config.acceptLowConfidence)) {
+                    const why = !best && search.state.state === 'empty' ? `no search results (${search.state.reason})` : reason;
+                    clog.warn(`   ! No confident match: ${why}. Saving screenshot.`);
+                    await saveDebug(entry, `debug_results_missing_${fileKey}.png`);
+                    fail('not_found', why);
+                    return endCompany();
+                }
+                if (!confident) {
+                    clog.warn(`   ! LOW-CONFIDENCE MATCH ACCEPTED: ${reason}`);
+                }
+                resolution = { source: confident ? 'search' : 'low_confidence', employerId: best.employerId, confidence: best.score, matchedName: best.name };
+                await source.openReviews(page, best, { ...ctx, employerId: resolution.employerId });
+            }
+
+        } catch (e) {
+            if (e instanceof PageStateError) throw e;
+            clog.warn(`   ! Search failed for ${companyName}: ${e.message}`);
+            try { 
+                await saveDebug(entry, `debug_search_fail_${fileKey}.png`);
+            } catch(err) {
+                clog.warn("   ! Screenshot failed: " + err.message);
+            }
+            fail('error', e.message);
+            return endCompany();
+        }
+
+        // Record which employer page is actually being scraped
+        const employerId = source.employerIdFromUrl(page.url()) || resolution.employerId;
+        const employerUrl = source.canonicalReviewsUrl(page.url());
+        progress.employer = { ...resolution, employerId, url: employerUrl };
+        if (employerId && (resolution.source === 'search' || resolution.source === 'config')) {
+            employerCache[cacheKey] = {
+                employerId,
+                reviewsUrl: employerUrl,
+                matchedName: resolution.matchedName || companyName,
+                confidence: resolution.confidence,
+                confirmedAt: new Date().toISOString()
+            };
+            if (config.employerCache) saveEmployerCache(config.employerCache, employerCache);
+        }
+        Object.assign(entry, { employerId, resolvedUrl: employerUrl, resolution });
+        clog.info(`   Employer: ${source.displayId(employerId)} (${resolution.source}) ${employerUrl}`);
+
+        // Newest first, so incremental/--since runs can stop early
+        if ((config.incremental || config.since) && startPage === 0) {
+            const sortedUrl = source.sortByMostRecent(page.url());
+            clog.info(`   Sorting by most recent: ${sortedUrl}`);
+            await checkPage(await page.goto(sortedUrl, { waitUntil: 'domcontentloaded' }));
+            await page.waitForTimeout(2000);
+        }
+        
+        // D. SCRAPE PAGES
+        for (let i = startPage; i < maxPages; i++) {
+            clog.info(`   Scraping Page ${i + 1}...`, { page: i + 1, url: page.url() });
+            
+            // FIX: Scroll DEEPER to skip the "Highlights" section
+            await page.evaluate(() => window.scrollBy(0, 4000));
+            await page.waitForTimeout(3000 + Math.random() * 2000); 
+
+            // Expand Text
+            try {
+                await source.expandReviews(page);
+            } catch (e) {}
+
+            // Extract Data (the source's card parser, e.g. scraper/parser.js for Glassdoor)
+            const reviews = await source.extractReviews(page);
+            entry.pagesVisited++;
+            entry.reviewsFound += reviews.length;
+
+            // Keep every page so the run can be rebuilt offline with "replay"
+            if (config.savePageHtml && reviews.length > 0) {
+                try {
+                    await saveDebug(entry, `${source.dumpPrefix}_${fileKey}_p${i + 1}.html`, savedFromComment(page.url()) + await page.content());
+                } catch (err) {
+                    clog.warn("   ! Page HTML dump failed: " + err.message);
+                }
+            }
+
+            // Zero reviews on a page the site itself says is empty is the end, not a parser failure
+            const emptyList = reviews.length === 0 && (await readPageState(page, null, source.selectors)).state === 'empty';
+            if (emptyList) {
+                clog.info(`   ${source.label} shows no reviews on this page.`);
+            } else if (reviews.length === 0) {
+                clog.warn("   ! No reviews found. Saving HTML debug file.");
+                try { 
+                    await saveDebug(entry, `debug_${fileKey}_failed.png`);
+                    await saveDebug(entry, `${source.dumpPrefix}_${fileKey}.html`, savedFromComment(page.url()) + await page.content());
+                } catch(err) {
+                    clog.warn("   ! Screenshot/HTML failed: " + err.message);
+                }
+            }
+
+            const filtered = filterNewReviews(
+                reviews.map(r => ({ company: companyName, source: source.name, employer_id: employerId, employer_url: employerUrl, ...r })),
+                { known: known.get(companyName), since: config.since }
+            );
+            const newReviews = filtered.fresh;
+            const stopReason = emptyList ? 'empty_results' : filtered.stopReason;
+            let pageCounts = { added: 0, duplicates: 0, quarantined: 0 };
+            if (newReviews.length > 0) {
+                const { added, duplicates, quarantined, newRecords } = await persistReviews(config, newReviews, sinks);
+                pageCounts = { added, duplicates, quarantined };
+                progress.reviews += added;
+                progress.duplicates += duplicates;
+                progress.quarantined += quarantined;
+                entry.reviewsAdded += added;
+                entry.duplicates += duplicates;
+                entry.quarantined += quarantined;
+                clog.info(`   + Found ${reviews.length} reviews (${added} new, ${duplicates} duplicates dropped, ${quarantined} quarantined).`);
+                for (const review of newRecords) events.emit('review', review);
+            }
+
+            progress.pagesDone = i + 1;
+            progress.lastUrl = page.url();
+            progress.resumeUrl = null;
+            checkpoint();
+            events.emit('page', { company: companyName, page: i + 1, url: page.url(), reviews: reviews.length, ...pageCounts });
+
+            if (stopReason) {
+                clog.info(`   Stopping ${companyName}: ${STOP_REASONS[stopReason]}.`);
+                entry.stopReason = stopReason;
+                break;
+            }
+
+            // Next Page
+            try {
+                const next = await source.nextPage(page, ctx);
+                if (next.stopReason === 'next_button_missing') {
+                    await saveDebug(entry, `debug_no_next_button_${fileKey}_page${i}.png`);
+                }
+                if (next.stopReason === 'end_of_reviews') {
+                    clog.info(`   Reached end of reviews for ${companyName}.`); // SAFEGUARD LOG
+                }
+                if (next.stopReason) {
+                    entry.stopReason = next.stopReason;
+                    break;
+                }
+                await checkPage(next.response || null);
+
+                // Only trust the URL if Next actually changed it
+                progress.resumeUrl = page.url() !== progress.lastUrl ? page.url() : null;
+                checkpoint();
+            } catch (e) { 
+                if (e instanceof PageStateError) throw e;
+                clog.warn(`   Pagination error: ${e.message}`);
+                fail('error', e.message);
+                break;
+            }
+        }
+
+        if (progress.status !== 'failed') progress.status = 'done';
+        entry.status = progress.status;
+        entry.stopReason = entry.stopReason || 'max_pages';
+        checkpoint();
+        manifest.save();
+        return endCompany();
+    };
+
+    // SCRAPING LOOP (SEARCH BASED): every configured company, then close. Resolves to the run outcome.
+    const run = async () => {
+        try {
+            await open();
+            for (const company of config.companies) {
+                await scrapeCompany(company);
+            }
+        } catch (e) {
+            if (!(e instanceof PageStateError)) {
+                emitError(e, {});
+                await close({ status: 'error', reason: e.message, exitCode: EXIT_CODES.error }).catch(() => {});
+            }
+            throw e;
+        }
+        const outcome = await close();
+        log.info("--- Scraper Finished ---");
+        return outcome;
+    };
+
+    return Object.assign(events, { config, sinks, manifestFile: null, open, run, scrapeCompany, close });
+}
+
+module.exports = { createScraper, persistReviews, reportQuality, startRun };
@@ -0,0 +1,95 @@
+/**
+ * SELECTOR REGISTRY
+ * ------------------------------------------------
+ * Every CSS selector the Glassdoor adapter and parser depend on, in one place
+ * (other sources keep a registry of the same shape, see scraper/sources/).
+ * Each element has an ordered fallback chain: the first selector that
+ * matches wins, so put the current markup first and keep older variants
+ * behind it. Bump SELECTORS_VERSION whenever a chain changes; it is
+ * recorded in run manifests. Run "doctor" against saved pages to see
+ * which selector in each chain still matches after a redesign.
+ */
+
+const SELECTORS_VERSION = '2026-10';
+
+// name -> { page: where the element lives, multiple: all matches are used, chain: [selectors] }
+const SELECTORS = {
+    searchButton: {
+        page: 'search',
+        chain: ['button[data-test="search-button"]']
+    },
+    searchInput: {
+        page: 'search',
+        chain: ['input[data-test="search-bar-keyword-input"]', 'input[id="sc.keyword"]', 'input[placeholder*="Company"]']
+    },
+    searchSubmit: {
+        page: 'search',
+        chain: ['button[data-test="search-bar-submit"]', 'button[type="submit"]']
+    },
+    resultLinks: {
+        page: 'search',
+        multiple: true,
+        chain: ['a[href]']
+    },
+    // Inside a result link: the employer name, without the review count and rating beside it
+    resultName: {
+        page: 'search',
+        chain: ['[data-test="employer-short-name"]', 'h3', 'h2']
+    },
+    reviewsTab: {
+        page: 'company',
+        multiple: true,
+        chain: ['a[href*="/Reviews/"]', 'a[data-test="review-tab"]']
+    },
+    continueReading: {
+        page: 'reviews',
+        multiple: true,
+        chain: ['div[class*="continueReading"]', 'button.showMore']
+    },
+    nextButton: {
+        page: 'reviews',
+        chain: ['button[data-test="pagination-next"]', 'a[data-test="pagination-next"]', 'button[aria-label="Next"]', 'span[aria-label="Next"]', 'a.nextButton']
+    },
+    // Sign-in overlay that hides reviews from logged-out visitors (see pagestate.js)
+    loginWall: {
+        page: 'any',
+        chain: ['#HardsellOverlay', 'div[data-test="authModalContainer"]', 'div[class*="hardsellOverlay"]']
+    },
+    // Used inside review cards by the parser
+    reviewLink: {
+        page: 'reviews',
+        chain: ['a[href*="/Reviews/Employee-Review"]']
+    },
+    ratingNumber: {
+        page: 'reviews',
+        chain: ['.ratingNumber', 'span[class*="rating"]']
+    }
+};
+
+function selectorChain(name, registry = SELECTORS) {
+    if (!registry[name]) throw new Error(`Unknown selector "${name}"`);
+    return registry[name].chain;
+}
+
+// Chains the parser needs, as plain data so they can be shipped into the page with it
+function parserSelectors() {
+    return { reviewLink: selectorChain('reviewLink'), ratingNumber: selectorChain('ratingNumber') };
+}
+
+/**
+ * Playwright locator for a registry element (Glassdoor's unless another registry is given).
+ * Single elements: the first selector in the chain that matches anything
+ * (or the primary selector, matching nothing, so callers can still probe it).
+ * Multiple elements: everything any selector in the chain matches.
+ */
+async function locate(page, name, registry = SELECTORS) {
+    const chain = selectorChain(name, registry);
+    if (registry[name].multiple) return page.locator(chain.join(', '));
+    for (const selector of chain) {
+        const locator = page.locator(selector);
+        if (await locator.count() > 0) return locator.first();
+    }
+    return page.locator(chain[0]).first();
+}
+
+module.exports = { SELECTORS_VERSION, SELECTORS, selectorChain, parserSelectors, locate };
@@ -0,0 +1,143 @@
+/**
+ * SENTIMENT ENRICHMENT
+ * ------------------------------------------------
+ * Optional lexicon-based scoring of title/pros/cons/advice/body, run on every
+ * record before it is validated and stored (--sentiment). Scores depend only
+ * on the raw text and the word list, so "enrich" can recompute them from the
+ * store at any time, e.g. after swapping in another lexicon.
+ *
+ * Lexicons are JSON ({ name, version, language, words, negators?, intensifiers? }
+ * or a bare { word: score } object) or AFINN-style TSV ("word<TAB>score").
+ * The bundled one is lexicons/workplace-en.json.
+ *
+ * Per field: score = sum of word scores / sqrt(tokens), so long reviews do
+ * not dominate. sentiment_net combines the fields the same way.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const FIELDS = ['title', 'pros', 'cons', 'advice', 'body'];
+const BUNDLED_LEXICON = path.join(__dirname, 'lexicons', 'workplace-en.json');
+const DEFAULT_NEGATORS = ['not', 'no', 'never', 'without'];
+const NEGATION_WINDOW = 3; // A negator flips the next few words ("not very good")
+const MAX_PHRASE = 3;
+
+// Very common words per language; whichever list the text hits more often wins
+const STOPWORDS = {
+    en: ['the', 'and', 'is', 'to', 'of', 'a', 'in', 'it', 'for', 'with', 'are', 'was', 'but', 'you', 'they', 'this', 'that', 'have', 'on', 'not'],
+    fr: ['le', 'la', 'les', 'et', 'est', 'de', 'des', 'un', 'une', 'pour', 'pas', 'avec', 'très', 'mais', 'sur', 'du', 'au', 'je', 'que', 'sont']
+};
+
+const lexicons = new Map(); // file -> parsed lexicon
+
+function parseLexicon(text, file) {
+    const base = path.basename(file, path.extname(file));
+    if (/\.(tsv|txt)$/i.test(file)) {
+        const words = {};
+        for (const line of text.split(/\r?\n/)) {
+            const match = line.match(/^(.+?)\t(-?\d+(?:\.\d+)?)\s*$/);
+            if (match) words[match[1].trim().toLowerCase()] = Number(match[2]);
+        }
+        return { name: base, version: null, language: 'en', words };
+    }
+    const data = JSON.parse(text);
+    return data.words ? { name: base, version: null, language: 'en', ...data } : { name: base, version: null, language: 'en', words: data };
+}
+
+// Bundled lexicon when file is null; cached per file
+function loadLexicon(file = null) {
+    const key = file || BUNDLED_LEXICON;
+    if (!lexicons.has(key)) {
+        const lexicon = parseLexicon(fs.readFileSync(key, 'utf8'), key);
+        const words = new Map(Object.entries(lexicon.words).map(([w, s]) => [tokenize(w).join(' '), Number(s)]));
+        lexicons.set(key, {
+            id: lexicon.version != null ? `${lexicon.name}@${lexicon.version}` : lexicon.name,
+            language: lexicon.language,
+            words,
+            negators: new Set((lexicon.negators || DEFAULT_NEGATORS).map(w => tokenize(w).join(''))),
+            intensifiers: new Map(Object.entries(lexicon.intensifiers || {}))
+        });
+    }
+    return lexicons.get(key);
+}
+
+// Lowercase words; apostrophes dropped ("don't" -> "dont"), hyphenated words kept whole
+function tokenize(text) {
+    return String(text || '').toLowerCase().replace(/['’]/g, '').match(/[\p{L}\p{N}]+(?:-[\p{L}\p{N}]+)*/gu) || [];
+}
+
+function detectLanguage(tokens) {
+    if (tokens.length < 3) return 'und';
+    const hits = Object.entries(STOPWORDS).map(([lang, words]) => [lang, tokens.filter(t => words.includes(t)).length]);
+    hits.sort((a, b) => b[1] - a[1]);
+    return hits[0][1] > 0 && hits[0][1] > hits[1][1] ? hits[0][0] : 'und';
+}
+
+// Sum of word scores, longest phrase first, with negation and intensifiers
+function rawScore(tokens, lexicon) {
+    let sum = 0;
+    let negateFor = 0;
+    let boost = 1;
+    for (let i = 0; i < tokens.length;) {
+        let matched = 0;
+        let score = 0;
+        for (let n = Math.min(MAX_PHRASE, tokens.length - i); n >= 1; n--) {
+            const phrase = tokens.slice(i, i + n).join(' ');
+            if (lexicon.words.has(phrase)) {
+                matched = n;
+                score = lexicon.words.get(phrase);
+                break;
+            }
+        }
+
+        if (matched > 0) {
+            sum += score * boost * (negateFor > 0 ? -1 : 1);
+            boost = 1;
+            negateFor = Math.max(0, negateFor - matched);
+            i += matched;
+            continue;
+        }
+        const token = tokens[i];
+        if (lexicon.negators.has(token)) {
+            negateFor = NEGATION_WINDOW;
+        } else if (lexicon.intensifiers.has(token)) {
+            boost = Number(lexicon.intensifiers.get(token));
+        } else {
+            negateFor = Math.max(0, negateFor - 1);
+            boost = 1;
+        }
+        i++;
+    }
+    return sum;
+}
+
+const normalized = (sum, count) => (count > 0 ? Number((sum / Math.sqrt(count)).toFixed(4)) : 0);
+
+/**
+ * Sentiment fields for one record (returns a new record).
+ * Text in another language than the lexicon's gets token counts and
+ * language but null scores, rather than misleading zeros.
+ */
+function scoreReview(record, lexicon = loadLexicon()) {
+    const tokens = {};
+    for (const field of FIELDS) tokens[field] = tokenize(record[field]);
+    const all = FIELDS.flatMap(f => tokens[f]);
+    const language = detectLanguage(all);
+    const scorable = language === lexicon.language || language === 'und';
+
+    const out = { ...record };
+    let netSum = 0;
+    for (const field of FIELDS) {
+        const sum = scorable ? rawScore(tokens[field], lexicon) : 0;
+        netSum += sum;
+        out[`sentiment_${field}`] = scorable && record[field] ? normalized(sum, tokens[field].length) : null;
+        out[`tokens_${field}`] = tokens[field].length;
+    }
+    out.sentiment_net = scorable && all.length > 0 ? normalized(netSum, all.length) : null;
+    out.language = language;
+    out.sentiment_lexicon = lexicon.id;
+    return out;
+}
+
+module.exports = { FIELDS, BUNDLED_LEXICON, loadLexicon, tokenize, detectLanguage, scoreReview };
@@ -0,0 +1,64 @@
+/**
+ * REVIEW SINKS
+ * ------------------------------------------------
+ * Where validated reviews go. A sink is a plain object with
+ *   name            used in messages
+ *   write(records)  store a batch; returns (or resolves to) { added, duplicates, newRecords }
+ *                   where newRecords are the records it did not hold yet (without it every
+ *                   record counts as new, see the scraper's "review" event)
+ * and optionally
+ *   load()    every stored record (needed by --incremental and the quality report)
+ *   exists()  whether earlier data is present (guards against mixing runs)
+ *   reset()   delete earlier data (--fresh)
+ * The first sink is the primary one: its counts are reported and its data
+ * drives incremental runs.
+ */
+
+const fs = require('fs');
+const { loadData, saveData, resetData } = require('./store');
+
+// The append-only JSONL store (the CLI's default)
+function jsonlSink(file) {
+    return {
+        name: file,
+        write: (records) => saveData(file, records),
+        load: () => loadData(file),
+        exists: () => fs.existsSync(file),
+        reset: () => resetData(file)
+    };
+}
+
+// Keeps the latest version of every review in memory, upserted by review_id
+function memorySink() {
+    const byId = new Map();
+    return {
+        name: 'memory',
+        records: () => Array.from(byId.values()),
+        write: (records) => {
+            const newRecords = [];
+            let duplicates = 0;
+            for (const record of records) {
+                if (byId.has(record.review_id)) duplicates++;
+                else newRecords.push(record);
+                byId.set(record.review_id, record);
+            }
+            return { added: newRecords.length, duplicates, newRecords };
+        },
+        load: () => Array.from(byId.values()),
+        exists: () => byId.size > 0,
+        reset: () => byId.clear()
+    };
+}
+
+// Hands every batch to fn (e.g. a queue producer or database insert); all records count as added
+function callbackSink(fn, name = 'callback') {
+    return {
+        name,
+        write: async (records) => {
+            await fn(records);
+            return { added: records.length, duplicates: 0, newRecords: records };
+        }
+    };
+}
+
+module.exports = { jsonlSink, memorySink, callbackSink };
@@ -0,0 +1,189 @@
+/**
+ * GLASSDOOR ADAPTER
+ * ------------------------------------------------
+ * Search widget -> results -> company Overview -> Reviews tab, then
+ * "Continue reading" links and a Next button per page. Selectors live in
+ * scraper/selectors.js and card parsing in scraper/parser.js.
+ */
+
+const { SELECTORS_VERSION, SELECTORS, selectorChain, locate } = require('../selectors');
+const { parserSource, extractReviewsFromPage } = require('../parser');
+const { employerIdFromUrl, reviewsUrlFor, canonicalReviewsUrl } = require('../resolver');
+
+// Glassdoor's "Most Recent" sort order
+function sortByMostRecent(url) {
+    const sorted = new URL(url);
+    sorted.searchParams.set('sort.sortType', 'RD');
+    sorted.searchParams.set('sort.ascending', 'false');
+    return sorted.toString();
+}
+
+// Type the name into the Reviews search widget; resolves to the result links, or null without a search input
+async function searchCompany(page, companyName, { baseUrl, checkPage, log }) {
+    // A. Go to Reviews Search Page
+    await checkPage(await page.goto(`${baseUrl}/Reviews/index.htm`, { waitUntil: 'domcontentloaded' }));
+    await page.waitForTimeout(2000);
+
+    // B. Type Company Name
+    log.info(`   Searching for "${companyName}"...`);
+
+    // FIX: Handle the Search Button/Input Interception
+    const searchButtonTrigger = await locate(page, 'searchButton');
+
+    // 1. Click the "fake" button if it exists to activate the field
+    if (await searchButtonTrigger.isVisible()) {
+        await searchButtonTrigger.click();
+        await page.waitForTimeout(500);
+    }
+
+    // 2. Force click the input (bypasses any remaining overlays)
+    const searchInput = await locate(page, 'searchInput');
+    if (!(await searchInput.isVisible())) return null;
+    await searchInput.click({ force: true });
+    await searchInput.fill('');
+    await searchInput.fill(companyName);
+    await page.waitForTimeout(500);
+
+    // 3. Submit
+    const submitBtn = await locate(page, 'searchSubmit');
+    if (await submitBtn.isVisible()) {
+        await submitBtn.click();
+    } else {
+        await page.keyboard.press('Enter');
+    }
+
+    // --- RESULT SELECTION FIX ---
+    log.info("   Waiting for search results...");
+    await page.waitForLoadState('domcontentloaded');
+    await page.waitForTimeout(3000);
+    const state = await checkPage();
+
+    // Based on screenshots, we have a "Companies" header and cards below it.
+    // The caller scores every result link against the name (and employer ID) instead of
+    // taking the first partial match, then navigates manually to avoid "new tab" issues.
+    // A card's full text runs the name into "5 reviews" on one line, so the name node comes first.
+    const links = await (await locate(page, 'resultLinks')).evaluateAll((anchors, nameChain) => anchors.map(a => {
+        const nameEl = nameChain.map(selector => a.querySelector(selector)).find(Boolean);
+        const img = a.querySelector('img');
+        const firstLine = (a.innerText || a.textContent || '').split('\n').map(l => l.trim()).find(Boolean);
+        const text = (nameEl && nameEl.textContent.trim()) || a.getAttribute('aria-label') || (img && img.alt) || firstLine || '';
+        return { text, href: a.getAttribute('href') };
+    }), selectorChain('resultName'));
+    return { links, state };
+}
+
+// From the chosen search result to the company's reviews listing
+async function openReviews(page, candidate, { baseUrl, employerId, checkPage, log }) {
+    // FIX: Ensure URL is absolute before navigating
+    let targetUrl = candidate.href;
+    if (targetUrl.startsWith('/')) {
+        targetUrl = `${baseUrl}${targetUrl}`;
+    }
+
+    log.info(`   Navigating to Company Page: ${targetUrl}`);
+    await checkPage(await page.goto(targetUrl, { waitUntil: 'domcontentloaded' }));
+
+    await page.waitForTimeout(3000);
+
+    // E. Ensure we are on the REVIEWS tab
+    // CRITICAL FIX: Don't pick the link if it goes to "Reviews/index.htm" (that's the global nav)
+    if (!page.url().includes('Reviews') || page.url().includes('Overview')) {
+        log.info("   Switching to Reviews tab...");
+
+        // Get all potential review links
+        const reviewLinks = await (await locate(page, 'reviewsTab')).all();
+        let validReviewUrl = null;
+
+        for (const link of reviewLinks) {
+            const href = await link.getAttribute('href');
+            const sameEmployer = !employerId || employerIdFromUrl(href) === employerId;
+            if (href && !href.includes('Reviews/index.htm') && href.includes('Reviews-E') && sameEmployer) {
+                validReviewUrl = href;
+                break; // Found the specific company review link
+            }
+        }
+
+        if (validReviewUrl) {
+            if (validReviewUrl.startsWith('/')) {
+                validReviewUrl = `${baseUrl}${validReviewUrl}`;
+            }
+            log.info(`   Navigating to Reviews URL: ${validReviewUrl}`);
+            await checkPage(await page.goto(validReviewUrl, { waitUntil: 'domcontentloaded' }));
+            await page.waitForTimeout(2000);
+        } else {
+            log.warn("   ! Could not find specific Company Reviews tab. Staying on current page.");
+        }
+    }
+}
+
+// Click every "Continue reading" so the full pros/cons are in the page text.
+// Last first: the links are nth() locators and a clicked link may remove itself.
+async function expandReviews(page) {
+    const showMoreButtons = await (await locate(page, 'continueReading')).all();
+    for (const btn of showMoreButtons.reverse()) {
+        if (await btn.isVisible()) {
+            await btn.click();
+            await page.waitForTimeout(200);
+        }
+    }
+}
+
+// Click Next; resolves to { stopReason } (null when the click went through)
+async function nextPage(page, { log }) {
+    // Scroll to bottom to ensure pagination is loaded/visible
+    await page.evaluate(() => window.scrollTo(0, document.body.scrollHeight));
+    await page.waitForTimeout(2000);
+
+    // FIX: More robust pagination locator
+    const nextButton = await locate(page, 'nextButton');
+
+    if (await nextButton.count() === 0) {
+        log.warn("   Next button selector matched nothing.");
+        return { stopReason: 'next_button_missing' };
+    }
+
+    // Check if button is enabled/visible
+    // Sometimes glassdoor uses a class "disabled" instead of the attribute
+    const isVisible = await nextButton.isVisible();
+    const isDisabled = await nextButton.isDisabled();
+    const classList = await nextButton.getAttribute('class') || "";
+    const isClassDisabled = classList.includes('disabled');
+
+    if (!isVisible) {
+        log.warn("   Next button hidden.");
+        return { stopReason: 'next_button_hidden' };
+    }
+    if (isDisabled || isClassDisabled) {
+        return { stopReason: 'end_of_reviews' };
+    }
+
+    log.info("   Clicking Next...");
+
+    // Ensure it's in view
+    await nextButton.scrollIntoViewIfNeeded();
+    await nextButton.click({ force: true });
+    await page.waitForTimeout(4000 + Math.random() * 3000);
+    return { stopReason: null };
+}
+
+module.exports = {
+    name: 'glassdoor',
+    label: 'Glassdoor',
+    baseUrl: 'https://www.glassdoor.ca',
+    selectorsVersion: SELECTORS_VERSION,
+    selectors: SELECTORS,
+    dumpPrefix: 'debug', // debug_<Company>_p<n>.html, as before sources existed
+    homeUrl: (baseUrl) => `${baseUrl}/index.htm`,
+    companyId: (company) => company.employerId,
+    displayId: (id) => `E${id || '?'}`,
+    employerIdFromUrl,
+    reviewsUrlFor,
+    canonicalReviewsUrl,
+    sortByMostRecent,
+    searchCompany,
+    openReviews,
+    expandReviews,
+    extractReviews: extractReviewsFromPage,
+    parserSource,
+    nextPage
+};
@@ -0,0 +1,273 @@
+/**
+ * INDEED ADAPTER
+ * ------------------------------------------------
+ * Company search (/companies/search?q=) -> /cmp/<slug>/reviews, paged with
+ * ?start=<offset> through a plain Next link. Review cards carry schema.org
+ * microdata (itemprop="review", "ratingValue", "author", "reviewBody"),
+ * which is steadier than Indeed's class names, so the parser reads those
+ * first. Cards have a free-text body plus optional Pros/Cons sections.
+ *
+ * The employer ID is the company slug ("Suncor-Energy"); set it per company
+ * as "indeedId" in the config to skip the search.
+ */
+
+const { locate, selectorChain } = require('../selectors');
+
+const SELECTORS_VERSION = '2025-12';
+
+// Same shape as scraper/selectors.js; "doctor --source indeed" checks these
+const SELECTORS = {
+    resultLinks: {
+        page: 'search',
+        multiple: true,
+        chain: ['a[data-testid="companyName"]', 'a[data-tn-element="companyName"]', 'a[href^="/cmp/"]']
+    },
+    readMore: {
+        page: 'reviews',
+        multiple: true,
+        chain: ['button[data-testid="readMore"]', 'button[aria-label="Read more"]']
+    },
+    nextButton: {
+        page: 'reviews',
+        chain: ['a[data-testid="next-page"]', 'a[aria-label="Next Page"]', 'a[aria-label="Next"]']
+    },
+    loginWall: {
+        page: 'any',
+        chain: ['div[data-testid="auth-modal"]', '#ifl-ModalContainer', 'div[class*="AuthModal"]']
+    },
+    // Used inside review cards by the parser
+    reviewCard: {
+        page: 'reviews',
+        chain: ['[data-testid="reviewsList"] [itemprop="review"]', '[itemprop="review"]', 'div[data-tn-entitytype="reviewId"]']
+    },
+    ratingValue: {
+        page: 'reviews',
+        chain: ['[itemprop="reviewRating"] [itemprop="ratingValue"]', '[aria-label$="out of 5 stars."]', '[aria-label*="out of 5 stars"]']
+    },
+    reviewTitle: {
+        page: 'reviews',
+        chain: ['h2[data-testid="title"]', '[data-testid="title"]', 'h2']
+    },
+    reviewAuthor: {
+        page: 'reviews',
+        chain: ['[itemprop="author"]', '[data-testid="reviewer"]']
+    },
+    reviewBody: {
+        page: 'reviews',
+        chain: ['[itemprop="reviewBody"]', '[data-testid="reviewBody"]']
+    }
+};
+
+const PARSER_ELEMENTS = ['reviewCard', 'ratingValue', 'reviewTitle', 'reviewAuthor', 'reviewBody'];
+
+/**
+ * Like createParser() in scraper/parser.js: self-contained, because its source
+ * is shipped into the live page and into saved pages during replay.
+ * selectors: { name: [ordered fallback chain] }
+ */
+function createIndeedParser(selectors) {
+    const getText = (el) => (el ? (el.innerText || el.textContent || '') : '').replace(/[ \t]+/g, ' ').trim();
+
+    const queryFirst = (root, name) => {
+        for (const selector of selectors[name]) {
+            const el = root.querySelector(selector);
+            if (el) return el;
+        }
+        return null;
+    };
+
+    // Indeed's category ratings, mapped onto the shared rating_* fields
+    const SUB_RATINGS = {
+        rating_work_life: ['Work/Life Balance', 'Work-life balance'],
+        rating_compensation: ['Pay & Benefits', 'Compensation/Benefits'],
+        rating_career: ['Job Security & Advancement', 'Job Security/Advancement'],
+        rating_senior_management: ['Management'],
+        rating_culture: ['Culture']
+    };
+
+    const toNumber = (value) => {
+        const match = String(value || '').match(/\b([0-5](?:\.\d+)?)\b/);
+        return match ? Number(match[1]) : null;
+    };
+
+    // Smallest elements whose own text is exactly one of the labels
+    const findLabels = (card, labels) => {
+        const matches = Array.from(card.querySelectorAll('*')).filter(el => {
+            const own = getText(el).toLowerCase();
+            return labels.some(l => own === l.toLowerCase());
+        });
+        return matches.filter(el => !matches.some(other => other !== el && el.contains(other)));
+    };
+
+    // Text of the element after a "Pros"/"Cons" heading
+    const section = (card, label) => {
+        for (const heading of findLabels(card, [label])) {
+            const value = getText(heading.nextElementSibling);
+            if (value) return value;
+        }
+        return null;
+    };
+
+    const subRating = (card, labels) => {
+        for (const label of findLabels(card, labels)) {
+            const row = label.parentElement;
+            if (!row) continue;
+            for (const el of row.querySelectorAll('[aria-label], [content]')) {
+                const value = toNumber(el.getAttribute('content') || el.getAttribute('aria-label'));
+                if (value !== null) return value;
+            }
+        }
+        return null;
+    };
+
+    // "Process Engineer (Current Employee) - Calgary, AB - November 28, 2025"
+    const parseAuthor = (text) => {
+        const parts = text.split(/\s+-\s+/).map(p => p.trim()).filter(Boolean);
+        const date = parts.length > 1 && /\d{4}$/.test(parts[parts.length - 1]) ? parts.pop() : null;
+        const author = { date, job_title: parts.join(' - ') || null, employment_status: null, role: null, location: null };
+
+        const status = text.match(/\((Current|Former)\s+(?:Employee|Contractor|Intern)\)/i);
+        if (status) author.employment_status = status[1].toLowerCase();
+        if (parts[0]) author.role = parts[0].replace(/\s*\([^)]*\)\s*$/, '').trim() || null;
+        if (parts[1]) author.location = parts[1];
+        return author;
+    };
+
+    const parseReviewCard = (card) => {
+        const ratingEl = queryFirst(card, 'ratingValue');
+        const rating = ratingEl ? toNumber(ratingEl.getAttribute('content') || ratingEl.getAttribute('aria-label') || getText(ratingEl)) : null;
+        const titleEl = queryFirst(card, 'reviewTitle');
+        const title = getText(titleEl) || null;
+        const body = getText(queryFirst(card, 'reviewBody')) || null;
+        if (rating === null || !(title || body)) return null;
+
+        // Review ID: the card's entity ID, else the "?id=" of the title link
+        const link = titleEl ? titleEl.querySelector('a[href]') || titleEl.closest('a[href]') : null;
+        const reviewUrl = link ? link.getAttribute('href') : null;
+        const idMatch = (card.getAttribute('data-tn-entityid') || '').match(/([0-9a-f]{8,})/i)
+            || (reviewUrl || '').match(/[?&]id=([0-9a-z]+)/i);
+
+        const review = {
+            rating,
+            title,
+            body,
+            pros: section(card, 'Pros'),
+            cons: section(card, 'Cons'),
+            advice: null,
+            review_id: idMatch ? `indeed-${idMatch[1]}` : null,
+            review_url: reviewUrl,
+            ...parseAuthor(getText(queryFirst(card, 'reviewAuthor')))
+        };
+        for (const [field, labels] of Object.entries(SUB_RATINGS)) review[field] = subRating(card, labels);
+        return review;
+    };
+
+    // Cards matched by the first selector in the reviewCard chain that finds any
+    const extractWith = (root, strategy) => {
+        let cards = [];
+        for (const selector of selectors.reviewCard) {
+            cards = Array.from(root.querySelectorAll(selector));
+            if (cards.length > 0) break;
+        }
+        const results = cards.map(parseReviewCard).filter(r => r !== null);
+        results.forEach(r => { r.parse_strategy = strategy; });
+        return results;
+    };
+
+    const extractReviews = (root) => extractWith(root, 'card');
+
+    return { parseReviewCard, extractWith, extractReviews, strategies: ['card'] };
+}
+
+const parserSelectors = () => Object.fromEntries(PARSER_ELEMENTS.map(name => [name, selectorChain(name, SELECTORS)]));
+const parserSource = () => `(${createIndeedParser.toString()})(${JSON.stringify(parserSelectors())})`;
+
+// "https://ca.indeed.com/cmp/Suncor-Energy/reviews?start=20" -> "Suncor-Energy"
+function employerIdFromUrl(url) {
+    const match = String(url || '').match(/\/cmp\/([^/?#]+)/);
+    return match ? decodeURIComponent(match[1]) : null;
+}
+
+function reviewsUrlFor(baseUrl, companyName, employerId) {
+    return `${baseUrl}/cmp/${encodeURIComponent(employerId)}/reviews`;
+}
+
+// Reviews landing page without paging or sort parameters
+function canonicalReviewsUrl(url) {
+    return String(url).split(/[?#]/)[0];
+}
+
+// Indeed's "Date" sort, newest first
+function sortByMostRecent(url) {
+    const sorted = new URL(url);
+    sorted.searchParams.set('sort', 'date');
+    return sorted.toString();
+}
+
+// Indeed's company search is a plain GET, so no widget to drive
+async function searchCompany(page, companyName, { baseUrl, checkPage, log }) {
+    log.info(`   Searching for "${companyName}"...`);
+    const state = await checkPage(await page.goto(`${baseUrl}/companies/search?q=${encodeURIComponent(companyName)}`, { waitUntil: 'domcontentloaded' }));
+    await page.waitForTimeout(2000);
+    const links = await (await locate(page, 'resultLinks', SELECTORS)).evaluateAll(anchors => anchors.map(a => ({
+        text: (a.innerText || a.textContent || '').split('\n').map(l => l.trim()).find(Boolean) || a.getAttribute('aria-label') || '',
+        href: a.getAttribute('href')
+    })));
+    return { links, state };
+}
+
+async function openReviews(page, candidate, { baseUrl, employerId, checkPage, log }) {
+    const reviewsUrl = reviewsUrlFor(baseUrl, null, employerId || employerIdFromUrl(candidate.href));
+    log.info(`   Navigating to Reviews URL: ${reviewsUrl}`);
+    await checkPage(await page.goto(reviewsUrl, { waitUntil: 'domcontentloaded' }));
+    await page.waitForTimeout(2000);
+}
+
+// Last first, like Glassdoor's: a clicked "Read more" may remove itself
+async function expandReviews(page) {
+    for (const btn of (await (await locate(page, 'readMore', SELECTORS)).all()).reverse()) {
+        if (await btn.isVisible()) {
+            await btn.click();
+            await page.waitForTimeout(200);
+        }
+    }
+}
+
+function extractReviews(page) {
+    return page.evaluate(`${parserSource()}.extractReviews(document)`);
+}
+
+// Indeed drops the Next link on the last page; following its href is steadier than clicking
+async function nextPage(page, { log }) {
+    const nextLink = await locate(page, 'nextButton', SELECTORS);
+    const href = (await nextLink.count()) > 0 ? await nextLink.getAttribute('href') : null;
+    if (!href) return { stopReason: 'end_of_reviews' };
+
+    log.info("   Following Next...");
+    const response = await page.goto(new URL(href, page.url()).toString(), { waitUntil: 'domcontentloaded' });
+    await page.waitForTimeout(3000 + Math.random() * 2000);
+    return { stopReason: null, response };
+}
+
+module.exports = {
+    name: 'indeed',
+    label: 'Indeed',
+    baseUrl: 'https://ca.indeed.com',
+    selectorsVersion: SELECTORS_VERSION,
+    selectors: SELECTORS,
+    dumpPrefix: 'indeed', // indeed_<Company>_p<n>.html
+    homeUrl: (baseUrl) => `${baseUrl}/`,
+    companyId: (company) => company.indeedId,
+    displayId: (id) => id || '?',
+    employerIdFromUrl,
+    reviewsUrlFor,
+    canonicalReviewsUrl,
+    sortByMostRecent,
+    searchCompany,
+    openReviews,
+    expandReviews,
+    extractReviews,
+    parserSource,
+    nextPage,
+    createIndeedParser
+};
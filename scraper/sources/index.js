@@ -0,0 +1,36 @@
+/**
+ * REVIEW SOURCES
+ * ------------------------------------------------
+ * One adapter per review site. The scraper drives the shared pipeline
+ * (page-state checks, checkpoints, manifest, validation, sinks) and asks the
+ * adapter for everything site-specific. An adapter is a plain object with
+ *   name, label            "indeed" (stored as each record's source), "Indeed" (log wording)
+ *   baseUrl                default site root (--base-url overrides it)
+ *   selectors, selectorsVersion   registry in the shape of scraper/selectors.js (doctor, login wall)
+ *   dumpPrefix             saved pages are <dumpPrefix>_<Company>_p<n>.html (replay, doctor)
+ *   homeUrl(baseUrl)       first page of a run
+ *   companyId(company)     employer ID from the company's config entry, if any
+ *   displayId(id)          employer ID as shown in logs
+ *   employerIdFromUrl(url), reviewsUrlFor(baseUrl, name, id), canonicalReviewsUrl(url)
+ *   sortByMostRecent(url)  newest-first listing (--incremental, --since)
+ *   searchCompany(page, name, ctx)   -> { links: [{ text, href }], state } or null (no search UI)
+ *   openReviews(page, candidate, ctx) navigate from the chosen result to the reviews listing
+ *   expandReviews(page)    reveal truncated text
+ *   extractReviews(page)   -> raw records for the page
+ *   parserSource()         the card parser as page-side source (doctor)
+ *   nextPage(page, ctx)    -> { stopReason, response } (stopReason null when it moved on)
+ * ctx carries { baseUrl, employerId, checkPage, log }.
+ */
+
+const glassdoor = require('./glassdoor');
+const indeed = require('./indeed');
+
+const SOURCES = { glassdoor, indeed };
+
+function getSource(name) {
+    const source = SOURCES[name];
+    if (!source) throw new Error(`Unknown source "${name}" (expected ${Object.keys(SOURCES).join(', ')})`);
+    return source;
+}
+
+module.exports = { SOURCES, getSource };
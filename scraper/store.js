@@ -0,0 +1,168 @@
+/**
+ * REVIEW STORAGE
+ * ------------------------------------------------
+ * The primary sink is an append-only JSONL file (one review per line).
+ * Writing a page only appends its new lines, so a kill mid-run can at worst
+ * leave one truncated last line, which is skipped on read and repaired on
+ * the next write. Records are upserted by review_id: a review seen again is
+ * counted as a duplicate and only re-appended if its content changed (the
+ * last line for an ID wins on read). A legacy JSON array store is
+ * rewritten as JSONL before the first append.
+ * The pretty JSON the Quarto report loads is produced by the export command.
+ */
+
+const fs = require('fs');
+const crypto = require('crypto');
+const { toIsoDate } = require('./dates');
+const { log } = require('./logger');
+
+// Fields hashed when Glassdoor's own RVW id is missing
+const HASH_FIELDS = ['company', 'date', 'title', 'job_title', 'pros', 'cons'];
+
+// Per store file: review_id -> digest of the stored content
+const indexes = new Map();
+
+const sha1 = (text) => crypto.createHash('sha1').update(text).digest('hex');
+
+// The site's own review ID when the card had one, otherwise a content hash
+// (salted with the source for non-Glassdoor records, so existing hash IDs stay stable)
+function reviewId(record) {
+    if (record.review_id) return record.review_id;
+    const salt = record.source && record.source !== 'glassdoor' ? `${record.source}|` : '';
+    const content = salt + HASH_FIELDS
+        .map(f => (f === 'date' ? toIsoDate(record.date) : record[f]) || '')
+        .map(v => String(v).toLowerCase().replace(/\s+/g, ' ').trim())
+        .join('|');
+    return 'h' + sha1(content).slice(0, 16);
+}
+
+function withReviewId(record) {
+    return { ...record, review_id: reviewId(record) };
+}
+
+function parseLines(text) {
+    return text.split('\n').filter(Boolean).map(line => {
+        try { return JSON.parse(line); } catch (e) { return null; } // Truncated last line after a crash
+    }).filter(Boolean);
+}
+
+const isJsonArray = (text) => text.trimStart().startsWith('[');
+
+// Latest version of every review. Also reads a legacy pretty-printed JSON array.
+function loadData(file) {
+    if (!fs.existsSync(file)) return [];
+    const text = fs.readFileSync(file, 'utf8');
+    if (isJsonArray(text)) {
+        let records;
+        try { records = JSON.parse(text); } catch (e) {
+            throw new Error(`${file} starts like a JSON array but does not parse (${e.message}). Restore it from a backup or pass another --store.`);
+        }
+        return records.map(withReviewId);
+    }
+
+    const latest = new Map();
+    for (const record of parseLines(text).map(withReviewId)) {
+        latest.delete(record.review_id); // Re-insert so order follows the latest version
+        latest.set(record.review_id, record);
+    }
+    return Array.from(latest.values());
+}
+
+function storeIndex(file) {
+    if (!indexes.has(file)) {
+        const text = fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : '';
+        const records = loadData(file);
+        if (isJsonArray(text)) {
+            // Appending lines to an array would leave neither valid JSON nor JSONL
+            writeAtomic(file, records.map(r => JSON.stringify(r) + '\n').join(''));
+            log.info(`Converted ${file} from a JSON array to JSONL (${records.length} reviews).`);
+        } else if (text && !text.endsWith('\n')) {
+            // A crash mid-append leaves no trailing newline; start the next write on a fresh line
+            fs.appendFileSync(file, '\n');
+        }
+        indexes.set(file, new Map(records.map(r => [r.review_id, sha1(JSON.stringify(r))])));
+    }
+    return indexes.get(file);
+}
+
+// Upsert by review_id. Returns how many records were new and how many were duplicates
+function saveData(file, newData) {
+    const index = storeIndex(file);
+    const lines = [];
+    const newRecords = [];
+    let duplicates = 0;
+
+    for (const record of newData.map(withReviewId)) {
+        const digest = sha1(JSON.stringify(record));
+        if (index.has(record.review_id)) {
+            duplicates++;
+            if (index.get(record.review_id) === digest) continue; // Identical, nothing to write
+        } else {
+            newRecords.push(record);
+        }
+        index.set(record.review_id, digest);
+        lines.push(JSON.stringify(record));
+    }
+
+    if (lines.length > 0) fs.appendFileSync(file, lines.join('\n') + '\n');
+    return { added: newRecords.length, duplicates, newRecords };
+}
+
+// Write to a temp file and rename, so readers never see a half-written file
+function writeAtomic(file, content) {
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, content);
+    fs.renameSync(tmp, file);
+}
+
+// Per company: the review IDs already stored and the newest review date (for incremental runs)
+function knownReviews(records) {
+    const known = new Map();
+    for (const record of records) {
+        if (!known.has(record.company)) known.set(record.company, { ids: new Set(), newestDate: null });
+        const entry = known.get(record.company);
+        entry.ids.add(reviewId(record));
+        const date = toIsoDate(record.date);
+        if (date && (!entry.newestDate || date > entry.newestDate)) entry.newestDate = date;
+    }
+    return known;
+}
+
+// Rejected records, one JSON object per line: { quarantinedAt, reasons, record }
+function appendQuarantine(file, entries) {
+    if (entries.length === 0) return;
+    const quarantinedAt = new Date().toISOString();
+    const lines = entries.map(e => JSON.stringify({ quarantinedAt, ...e })).join('\n') + '\n';
+    fs.appendFileSync(file, lines);
+}
+
+function loadQuarantine(file) {
+    if (!fs.existsSync(file)) return [];
+    return parseLines(fs.readFileSync(file, 'utf8'));
+}
+
+// Replace the quarantine file with entries as loaded (their quarantinedAt is kept)
+function saveQuarantine(file, entries) {
+    writeAtomic(file, entries.map(e => JSON.stringify(e) + '\n').join(''));
+}
+
+// RESET DATA FILE (Critical to prevent reading old/empty data)
+function resetData(file) {
+    indexes.delete(file);
+    if (fs.existsSync(file)) {
+        try { fs.unlinkSync(file); log.info(`Deleted old data file ${file}.`); } catch(e) {}
+    }
+}
+
+module.exports = {
+    loadData,
+    saveData,
+    resetData,
+    writeAtomic,
+    reviewId,
+    withReviewId,
+    knownReviews,
+    appendQuarantine,
+    loadQuarantine,
+    saveQuarantine
+};
@@ -0,0 +1,47 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { resolveConfig } = require('../scraper/config');
+const { UsageError } = require('../scraper/cli');
+const { tempDir } = require('./helpers');
+
+describe('run configuration', () => {
+    let dir;
+    let cleanup;
+    before(() => {
+        ({ dir, cleanup } = tempDir('config'));
+    });
+    after(() => cleanup());
+
+    const withFile = (name, data) => {
+        const file = path.join(dir, name);
+        fs.writeFileSync(file, JSON.stringify(data));
+        return { config: file };
+    };
+
+    it('layers the config file over the defaults and the overrides over both', () => {
+        const config = resolveConfig({ ...withFile('layers.json', { maxPages: 5, minReviews: 10, companies: [{ name: 'Enbridge', ticker: 'ENB.TO' }, 'Keyera'] }), maxPages: '2', companies: ['enbridge'], resume: true });
+        assert.equal(config.maxPages, 2);
+        assert.equal(config.minReviews, 10);
+        assert.deepEqual(config.companies.map(c => [c.name, c.ticker]), [['Enbridge', 'ENB.TO']]);
+    });
+
+    it('rejects a minReviews that is not a non-negative integer', () => {
+        for (const minReviews of ['abc', -1, 2.5, '']) {
+            assert.throws(() => resolveConfig({ minReviews }), (e) => e instanceof UsageError && e.message === `minReviews must be a non-negative integer, got "${minReviews}"`, String(minReviews));
+        }
+        assert.equal(resolveConfig({ minReviews: '0' }).minReviews, 0);
+    });
+
+    it('rejects unknown keys in the config file', () => {
+        const overrides = withFile('typo.json', { maxPage: 3, companies: ['Enbridge'] });
+        assert.throws(() => resolveConfig(overrides), (e) => e instanceof UsageError && /Unknown config key in .*typo\.json: maxPage$/.test(e.message));
+    });
+
+    it('rejects a companies value that is not a list', () => {
+        assert.throws(() => resolveConfig(withFile('one.json', { companies: 'Enbridge' })), (e) => e instanceof UsageError && /^companies must be a list/.test(e.message));
+        assert.throws(() => resolveConfig({ companies: 'Enbridge' }), UsageError);
+    });
+});
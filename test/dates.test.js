@@ -0,0 +1,23 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { toIsoDate, isIsoDate } = require('../scraper/dates');
+
+describe('review dates', () => {
+    it('converts the date formats Glassdoor prints', () => {
+        assert.equal(toIsoDate('Nov 28, 2025'), '2025-11-28');
+        assert.equal(toIsoDate('November 3, 2025'), '2025-11-03');
+        assert.equal(toIsoDate('2025-11-28T10:00:00Z'), '2025-11-28');
+        assert.equal(toIsoDate('last week'), null);
+    });
+
+    it('accepts only real calendar days', () => {
+        assert.equal(isIsoDate('2025-11-28'), true);
+        assert.equal(isIsoDate('2024-02-29'), true);
+        assert.equal(isIsoDate('2023-02-29'), false);
+        assert.equal(isIsoDate(toIsoDate('Feb 31, 2025')), false);
+        assert.equal(isIsoDate('2025-13-01'), false);
+        assert.equal(isIsoDate('2025-1-1'), false);
+        assert.equal(isIsoDate(null), false);
+    });
+});
@@ -0,0 +1,148 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawn } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+
+const { EXIT_CODES } = require('../scraper/pagestate');
+const { startMockServer } = require('../mock/server');
+const { needsBrowser, tempDir } = require('./helpers');
+
+const ROOT = path.join(__dirname, '..');
+const CLI = path.join(ROOT, 'nolan-enzo-will-glassdoor_scraper.js');
+const MOCK_CONFIG = path.join(ROOT, 'mock', 'fixtures', 'config.json');
+const FIXTURE = JSON.parse(fs.readFileSync(path.join(ROOT, 'mock', 'fixtures', 'glassdoor.json'), 'utf8'));
+
+// "scrape" against a fresh mock site, in a scratch directory (the mock config's
+// mock_run/ paths are relative); resolves to the exit code, the result line and the files
+async function scrape(args, { scenario = 'normal' } = {}) {
+    const mock = await startMockServer({ site: 'glassdoor', scenario });
+    const { dir, cleanup } = tempDir('scrape-e2e');
+    try {
+        const { code, stdout, stderr } = await new Promise((resolve, reject) => {
+            const child = spawn(process.execPath, [CLI, 'scrape', '--config', MOCK_CONFIG, '--base-url', mock.url, '--log-level', 'warn', ...args], { cwd: dir });
+            let stdout = '';
+            let stderr = '';
+            child.stdout.on('data', chunk => { stdout += chunk; });
+            child.stderr.on('data', chunk => { stderr += chunk; });
+            child.on('error', reject);
+            child.on('close', code => resolve({ code, stdout, stderr }));
+        });
+        const read = (file) => {
+            const full = path.join(dir, 'mock_run', file);
+            return fs.existsSync(full) ? fs.readFileSync(full, 'utf8') : null;
+        };
+        const jsonLines = (file) => (read(file) || '').split('\n').filter(Boolean).map(line => JSON.parse(line));
+        const result = JSON.parse(stdout.trim().split('\n').pop());
+        return {
+            baseUrl: mock.url,
+            code,
+            stderr,
+            result,
+            records: jsonLines('reviews.jsonl'),
+            quarantine: jsonLines('quarantine.jsonl'),
+            storeExists: read('reviews.jsonl') !== null,
+            manifest: result.manifest ? JSON.parse(fs.readFileSync(path.join(dir, result.manifest), 'utf8')) : null
+        };
+    } finally {
+        cleanup();
+        await mock.close();
+    }
+}
+
+// What the mock site serves for a company, as the scraper should store it
+function fixtureReviews(employerId) {
+    return FIXTURE.companies.find(c => c.employerId === employerId).pages.flat();
+}
+
+const companyStop = (manifest) => Object.fromEntries(Object.entries(manifest.companies)
+    .map(([name, entry]) => [name, [entry.status, entry.stopReason, entry.pagesVisited, entry.reviewsAdded, entry.quarantined]]));
+
+describe('scrape against the mock site', { skip: needsBrowser, timeout: 600000 }, () => {
+    it('stores every review up to the last page and quarantines the invalid one', async () => {
+        const run = await scrape(['--companies', 'Suncor Energy,Enbridge']);
+
+        assert.equal(run.code, EXIT_CODES.ok, run.stderr);
+        assert.deepEqual({ ...run.result, manifest: null }, { status: 'ok', reason: null, exitCode: 0, manifest: null });
+        assert.deepEqual(companyStop(run.manifest), {
+            'Suncor Energy': ['done', 'end_of_reviews', 3, 5, 0],
+            'Enbridge': ['done', 'end_of_reviews', 2, 2, 1]
+        });
+
+        const expected = [['Suncor Energy', '14826'], ['Enbridge', '10294']].flatMap(([company, employerId]) => fixtureReviews(employerId)
+            .filter(r => r.id !== 'RVW400003')
+            .map(r => [r.id, company, employerId, r.rating, r.title, r.pros, r.cons, r.advice, r.role, r.location]));
+        assert.deepEqual(run.records.map(r => [r.review_id, r.company, r.employer_id, r.rating, r.title, r.pros, r.cons, r.advice, r.role, r.location]), expected);
+
+        assert.deepEqual(run.records.find(r => r.review_id === 'RVW400001'), {
+            company: 'Enbridge',
+            source: 'glassdoor',
+            employer_id: '10294',
+            employer_url: `${run.baseUrl}/Reviews/Enbridge-Reviews-E10294.htm`,
+            rating: 4,
+            date: '2025-09-30',
+            title: 'Good work life balance',
+            job_title: 'Current Employee, more than 3 years - Pipeline Integrity Engineer in Edmonton, AB',
+            pros: 'Flexible hours and a hybrid schedule.',
+            cons: 'Slow decision making.',
+            advice: 'Trust your engineers.',
+            review_id: 'RVW400001',
+            review_url: '/Reviews/Employee-Review-Enbridge-RVW400001.htm',
+            rating_work_life: 5,
+            rating_culture: null,
+            rating_diversity: null,
+            rating_career: null,
+            rating_compensation: 4,
+            rating_senior_management: null,
+            recommend: null,
+            ceo_approval: null,
+            business_outlook: null,
+            employment_status: 'current',
+            tenure: 'more than 3 years',
+            role: 'Pipeline Integrity Engineer',
+            location: 'Edmonton, AB',
+            parse_strategy: 'li'
+        });
+
+        assert.deepEqual(run.quarantine.map(q => [q.record.review_id, q.record.date, q.reasons]), [['RVW400003', '2024-02-31', ['date is not a date ("2024-02-31")']]]);
+    });
+
+    it('refuses unresolved companies and stops at the page limit', async () => {
+        const run = await scrape(['--companies', 'Suncor Energy,Cenovus Energy,Imperial Oil', '--max-pages', '1']);
+
+        assert.equal(run.code, EXIT_CODES.incomplete, run.stderr);
+        assert.equal(run.result.status, 'incomplete');
+        assert.equal(run.result.reason, 'failed: Cenovus Energy, Imperial Oil');
+        assert.deepEqual(companyStop(run.manifest), {
+            'Suncor Energy': ['done', 'max_pages', 1, 2, 0],
+            'Cenovus Energy': ['failed', 'not_found', 0, 0, 0],
+            'Imperial Oil': ['failed', 'not_found', 0, 0, 0]
+        });
+        assert.match(run.manifest.companies['Cenovus Energy'].error, /^ambiguous/);
+        assert.deepEqual(run.records.map(r => r.review_id), ['RVW100001', 'RVW100002']);
+        assert.deepEqual(run.quarantine, []);
+    });
+
+    it('exits with the blocked code when the homepage is firewalled', async () => {
+        const run = await scrape([], { scenario: 'blocked' });
+        assert.equal(run.code, EXIT_CODES.blocked, run.stderr);
+        assert.equal(run.result.status, 'blocked');
+        assert.equal(run.result.exitCode, EXIT_CODES.blocked);
+        assert.equal(run.manifest.outcome.status, 'blocked');
+        assert.equal(run.storeExists, false);
+    });
+
+    it('exits with the login code at a sign-in wall', async () => {
+        const run = await scrape([], { scenario: 'login' });
+        assert.equal(run.code, EXIT_CODES.login, run.stderr);
+        assert.equal(run.result.status, 'login');
+        assert.match(run.result.url, /\/profile\/login_input\.htm$/);
+        assert.equal(run.storeExists, false);
+    });
+
+    it('exits with the usage code and still prints the result line for bad options', async () => {
+        const run = await scrape(['--max-pages', '0']);
+        assert.equal(run.code, EXIT_CODES.usage);
+        assert.deepEqual({ status: run.result.status, exitCode: run.result.exitCode, manifest: run.result.manifest }, { status: 'usage', exitCode: 2, manifest: null });
+    });
+});
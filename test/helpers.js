@@ -0,0 +1,50 @@
+/**
+ * TEST HELPERS
+ * ------------------------------------------------
+ * Shared by the node:test suites ("npm test" runs test/*.test.js, so this
+ * file is not a suite itself). Suites that need a browser use Playwright's
+ * Chromium, like the scraper itself, and are skipped when Playwright or its
+ * Chromium is not installed.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const FIXTURE_PAGES = path.join(__dirname, 'fixtures', 'pages');
+
+function loadPlaywright() {
+    try {
+        return require('playwright');
+    } catch (e) {
+        return null;
+    }
+}
+
+const playwright = loadPlaywright();
+
+// Pass as describe()'s skip option
+const needsBrowser = !playwright
+    ? 'Playwright is not installed (npm install && npx playwright install chromium)'
+    : !fs.existsSync(playwright.chromium.executablePath())
+        ? "Playwright's Chromium is not installed (npx playwright install chromium)"
+        : false;
+
+// One headless page for a suite: open it in before(), call close() in after()
+async function openPage() {
+    const browser = await playwright.chromium.launch({ headless: true });
+    const page = await browser.newPage();
+    return { page, close: () => browser.close() };
+}
+
+function readFixturePage(name) {
+    return fs.readFileSync(path.join(FIXTURE_PAGES, name), 'utf8');
+}
+
+// Fresh scratch directory, removed by the returned cleanup function
+function tempDir(prefix) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), `${prefix}-`));
+    return { dir, cleanup: () => fs.rmSync(dir, { recursive: true, force: true }) };
+}
+
+module.exports = { FIXTURE_PAGES, needsBrowser, openPage, readFixturePage, tempDir };
@@ -0,0 +1,41 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { filterNewReviews } = require('../scraper/incremental');
+const { knownReviews } = require('../scraper/store');
+
+const review = (id, date) => ({ company: 'Enbridge', review_id: id, date });
+
+describe('incremental filter', () => {
+    const stored = [review('RVW1', '2025-06-01'), review('RVW2', '2025-09-30'), { company: 'Enbridge', date: '2025-08-01', title: 'No ID', pros: 'Pay.' }];
+    const known = knownReviews(stored).get('Enbridge');
+
+    it('keeps every review without stored data or a cutoff', () => {
+        const page = [review('RVW5', 'Oct 2, 2025'), review('RVW1', '2025-06-01')];
+        assert.deepEqual(filterNewReviews(page, { known: undefined, since: null }), { fresh: page, stopReason: null });
+    });
+
+    it('stops at reviews already stored or older than the newest stored one', () => {
+        assert.equal(known.newestDate, '2025-09-30');
+        const page = [review('RVW5', 'Oct 2, 2025'), review('RVW6', '2025-09-30'), review('RVW2', '2025-09-30'), review('RVW7', '2025-09-29')];
+        const { fresh, stopReason } = filterNewReviews(page, { known, since: null });
+        assert.deepEqual(fresh.map(r => r.review_id), ['RVW5', 'RVW6']);
+        assert.equal(stopReason, 'known_reviews');
+
+        // A card without the site's ID matches the stored one by its content hash
+        const again = { company: 'Enbridge', date: 'Aug 1, 2025', title: 'No ID', pros: 'Pay.' };
+        assert.equal(filterNewReviews([again], { known: { ...known, newestDate: null }, since: null }).stopReason, 'known_reviews');
+    });
+
+    it('stops at the cutoff date and keeps undated reviews', () => {
+        const page = [review('RVW5', '2025-10-02'), review('RVW6', null), review('RVW7', '2025-09-30')];
+        const { fresh, stopReason } = filterNewReviews(page, { known: undefined, since: '2025-10-01' });
+        assert.deepEqual(fresh.map(r => r.review_id), ['RVW5', 'RVW6']);
+        assert.equal(stopReason, 'since_cutoff');
+    });
+
+    it('reports the cutoff over known reviews when a page reaches both', () => {
+        const page = [review('RVW2', '2025-09-30'), review('RVW8', '2025-01-15')];
+        assert.deepEqual(filterNewReviews(page, { known, since: '2025-03-01' }), { fresh: [], stopReason: 'since_cutoff' });
+    });
+});
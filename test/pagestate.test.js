@@ -0,0 +1,33 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { classifyPage } = require('../scraper/pagestate');
+
+const stateAt = (path) => classifyPage({ url: `https://www.glassdoor.ca${path}`, title: 'Reviews', text: 'Employee reviews' }).state;
+
+describe('page state', () => {
+    it('treats the sign-in routes as a login wall', () => {
+        for (const path of ['/profile/login_input.htm', '/login', '/signin', '/member/home/index.htm', '/account/login', '/auth', '/auth/login']) {
+            assert.equal(stateAt(path), 'login', path);
+        }
+    });
+
+    it('does not mistake company slugs and review URLs for sign-in routes', () => {
+        for (const path of [
+            '/Reviews/Accountemps-Reviews-E1234.htm',
+            '/Overview/Working-at-Accountemps-EI_IE1234.11,22.htm',
+            '/Reviews/Employee-Review-Login-Inc-RVW5678.htm',
+            '/cmp/Login-Inc/reviews',
+            '/cmp/Signin-Solutions/reviews',
+            '/cmp/Authentic-Brands/reviews'
+        ]) {
+            assert.equal(stateAt(path), 'ok', path);
+        }
+    });
+
+    it('classifies blocks and rate limits before the URL', () => {
+        assert.equal(classifyPage({ url: 'https://www.glassdoor.ca/index.htm', status: 429 }).state, 'rate_limited');
+        assert.equal(classifyPage({ url: 'https://www.glassdoor.ca/index.htm', title: 'Access Denied' }).state, 'blocked');
+        assert.equal(classifyPage({ url: 'https://www.glassdoor.ca/Reviews/x.htm', loginWall: true }).reason, 'overlay:loginWall');
+    });
+});
@@ -0,0 +1,103 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { periodOf, shiftPeriod, parseCsv, parsePrices, periodReturns, buildPanel } = require('../scraper/panel');
+const { configureLogger } = require('../scraper/logger');
+
+const round = (value) => Number(value.toFixed(4));
+
+describe('company x period panel', () => {
+    before(() => configureLogger({ level: 'silent' }));
+    after(() => configureLogger({ level: 'info' }));
+
+    it('puts dates in months and quarters and steps across year boundaries', () => {
+        assert.equal(periodOf('2025-03-31', 'quarter'), '2025-Q1');
+        assert.equal(periodOf('2025-04-01', 'quarter'), '2025-Q2');
+        assert.equal(periodOf('2025-04-01', 'month'), '2025-04');
+        assert.equal(shiftPeriod('2025-12', 1, 'month'), '2026-01');
+        assert.equal(shiftPeriod('2025-01', -1, 'month'), '2024-12');
+        assert.equal(shiftPeriod('2025-11', 14, 'month'), '2027-01');
+        assert.equal(shiftPeriod('2025-Q4', 1, 'quarter'), '2026-Q1');
+        assert.equal(shiftPeriod('2025-Q1', -1, 'quarter'), '2024-Q4');
+    });
+
+    it('takes returns from the last close of each period and skips periods after a gap', () => {
+        const returns = periodReturns([
+            { date: '2025-01-15', close: 100 },
+            { date: '2025-01-31', close: 110 },
+            { date: '2025-02-28', close: 121 },
+            { date: '2025-04-30', close: 133.1 }
+        ], 'month');
+        assert.deepEqual([...returns.keys()], ['2025-02']);
+        assert.equal(returns.get('2025-02'), Math.log(121 / 110));
+    });
+
+    it('joins review statistics with returns, excess returns and leads', () => {
+        const reviews = [
+            { company: 'Enbridge', date: '2025-01-10', rating: 4 },
+            { company: 'Enbridge', date: '2025-01-20', rating: 2 },
+            { company: 'Enbridge', date: '2025-03-05', rating: 5, sentiment_net: 0.5 }
+        ];
+        const prices = new Map([['ENB.TO', [{ date: '2025-01-31', close: 100 }, { date: '2025-02-28', close: 110 }, { date: '2025-03-31', close: 99 }]]]);
+        // No March close for the benchmark
+        const benchmark = [{ date: '2025-01-31', close: 50 }, { date: '2025-02-28', close: 51 }];
+        const companies = [{ name: 'Enbridge', ticker: 'ENB.TO' }, { name: 'Keyera', ticker: 'KEY.TO' }];
+
+        const { rows, columns } = buildPanel(reviews, { companies, prices, benchmark, lags: [0, 1] });
+        assert.deepEqual(columns.slice(-4), ['return', 'benchmark_return', 'excess_return', 'excess_return_lead1']);
+
+        const february = round(Math.log(110 / 100) - Math.log(51 / 50));
+        assert.deepEqual(rows, [
+            {
+                company: 'Enbridge', ticker: 'ENB.TO', period: '2025-01',
+                reviews: 2, rating_mean: 3, rating_median: 3, rating_sd: round(Math.SQRT2), share_low: 0.5, sentiment_mean: null,
+                return: null, benchmark_return: null, excess_return: null, excess_return_lead1: february
+            },
+            {
+                company: 'Enbridge', ticker: 'ENB.TO', period: '2025-02',
+                reviews: 0, rating_mean: null, rating_median: null, rating_sd: null, share_low: null, sentiment_mean: null,
+                return: round(Math.log(1.1)), benchmark_return: round(Math.log(1.02)), excess_return: february, excess_return_lead1: null
+            },
+            {
+                company: 'Enbridge', ticker: 'ENB.TO', period: '2025-03',
+                reviews: 1, rating_mean: 5, rating_median: 5, rating_sd: null, share_low: 0, sentiment_mean: 0.5,
+                return: round(Math.log(0.9)), benchmark_return: null, excess_return: null, excess_return_lead1: null
+            }
+        ]);
+    });
+
+    it('groups quarters and keeps companies that only appear in the reviews', () => {
+        const reviews = [
+            { company: 'Enbridge', date: '2025-01-10', rating: 4 },
+            { company: 'Enbridge', date: '2025-03-20', rating: 1 },
+            { company: 'Gibson Energy', date: '2025-12-31', rating: 3 }
+        ];
+        const { rows } = buildPanel(reviews, { companies: [{ name: 'Enbridge', ticker: null }], period: 'quarter' });
+        assert.deepEqual(rows.map(r => [r.company, r.ticker, r.period, r.reviews, r.share_low]), [
+            ['Enbridge', null, '2025-Q1', 2, 0.5],
+            ['Gibson Energy', null, '2025-Q4', 1, 0]
+        ]);
+        assert.throws(() => buildPanel(reviews, { companies: [], period: 'week' }), /Unknown period "week"/);
+    });
+
+    it('reads quoted CSV fields, doubled quotes and CRLF line ends', () => {
+        assert.deepEqual(parseCsv('date,name,"adj close"\r\n2025-01-31,"Enbridge, Inc.",100\n"2025-02-28","A ""quoted"" name",\n\n'), [
+            ['date', 'name', 'adj close'],
+            ['2025-01-31', 'Enbridge, Inc.', '100'],
+            ['2025-02-28', 'A "quoted" name', '']
+        ]);
+    });
+
+    it('reads long and wide price files and skips rows without a positive price', () => {
+        const long = parsePrices('\uFEFFsymbol,date,close,adjusted\nENB.TO,2025-02-28,60,59.5\nENB.TO,2025-01-31,58,57.5\nKEY.TO,2025-01-31,40,0\n', 'long.csv');
+        assert.deepEqual([...long.keys()], ['ENB.TO']);
+        assert.deepEqual(long.get('ENB.TO'), [{ date: '2025-01-31', close: 57.5 }, { date: '2025-02-28', close: 59.5 }]);
+
+        const wide = parsePrices('Date,ENB.TO,KEY.TO\n2025-01-31,58,\n2025-02-28,60,41\n', 'wide.csv');
+        assert.deepEqual(Object.fromEntries(wide), {
+            'ENB.TO': [{ date: '2025-01-31', close: 58 }, { date: '2025-02-28', close: 60 }],
+            'KEY.TO': [{ date: '2025-02-28', close: 41 }]
+        });
+        assert.throws(() => parsePrices('ticker,close\nENB.TO,58\n', 'nodate.csv'), /nodate\.csv needs a "date" column/);
+    });
+});
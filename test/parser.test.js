@@ -0,0 +1,116 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parserSource } = require('../scraper/parser');
+const { needsBrowser, openPage, readFixturePage } = require('./helpers');
+
+describe('review card parser on saved pages', { skip: needsBrowser }, () => {
+    let page;
+    let close;
+
+    before(async () => {
+        ({ page, close } = await openPage());
+    });
+    after(() => close && close());
+
+    const parse = async (file, strategy = null) => {
+        await page.setContent(readFixturePage(file));
+        const call = strategy ? `extractWith(document, ${JSON.stringify(strategy)})` : 'extractReviews(document)';
+        return page.evaluate(`${parserSource()}.${call}`);
+    };
+
+    it('reads every field of a list-item card', async () => {
+        const [first] = await parse('glassdoor_reviews_li.html');
+        assert.deepEqual(first, {
+            rating: '4.0',
+            date: 'Nov 28, 2025',
+            title: 'Great place to grow',
+            job_title: 'Current Employee, more than 3 years - Process Engineer in Calgary, AB',
+            pros: 'Good pay, strong safety culture and a pension that is hard to beat.',
+            cons: 'Long turnarounds: expect 12-hour shifts for weeks.',
+            advice: 'Listen to the people in the field.',
+            review_id: 'RVW91234567',
+            review_url: '/Reviews/Employee-Review-Suncor-Energy-RVW91234567.htm',
+            rating_work_life: 3,
+            rating_culture: 4,
+            rating_diversity: 5,
+            rating_career: 4,
+            rating_compensation: 5,
+            rating_senior_management: 2,
+            recommend: 'positive',
+            ceo_approval: 'neutral',
+            business_outlook: 'negative',
+            employment_status: 'current',
+            tenure: 'more than 3 years',
+            role: 'Process Engineer',
+            location: 'Calgary, AB',
+            parse_strategy: 'li'
+        });
+    });
+
+    it('skips navigation and review-highlight list items', async () => {
+        const reviews = await parse('glassdoor_reviews_li.html');
+        assert.deepEqual(reviews.map(r => r.review_id), ['RVW91234567', 'RVW91234568', 'RVW91234569', 'RVW91234570']);
+        assert.ok(reviews.every(r => r.parse_strategy === 'li'));
+    });
+
+    it('leaves fields a card does not show as null', async () => {
+        const [, second] = await parse('glassdoor_reviews_li.html');
+        assert.equal(second.rating, '2.0');
+        assert.equal(second.pros, 'Smart colleagues.');
+        assert.equal(second.cons, 'Layoffs, reorgs and a lot of red tape.');
+        assert.equal(second.advice, null);
+        assert.equal(second.employment_status, 'former');
+        assert.equal(second.tenure, 'less than 1 year');
+        assert.equal(second.role, 'Analyst');
+        assert.equal(second.location, null);
+        for (const field of ['rating_work_life', 'rating_culture', 'rating_career', 'recommend', 'ceo_approval', 'business_outlook']) {
+            assert.equal(second[field], null, field);
+        }
+    });
+
+    it('reads the location and sub-ratings only from the reviewer and ratings lines', async () => {
+        const [, , proseOnly, locationLine] = await parse('glassdoor_reviews_li.html');
+        assert.equal(proseOnly.title, 'Good pay, Bad hours');
+        assert.equal(proseOnly.location, null);
+        assert.equal(proseOnly.rating_career, null);
+        assert.equal(proseOnly.role, 'Operator');
+
+        assert.equal(locationLine.role, 'Welder');
+        assert.equal(locationLine.location, 'Fort McMurray, AB');
+    });
+
+    it('falls back to div cards when no list item parses', async () => {
+        assert.deepEqual(await parse('glassdoor_reviews_div.html', 'li'), []);
+
+        const reviews = await parse('glassdoor_reviews_div.html');
+        assert.deepEqual(reviews.map(r => [r.review_id, r.parse_strategy]), [['RVW80011122', 'div'], ['RVW80011123', 'div']]);
+
+        const [first, second] = reviews;
+        assert.equal(first.rating, '3.0');
+        assert.equal(first.title, 'Stable, if slow');
+        assert.equal(first.pros, 'Job security and good benefits.');
+        assert.equal(first.cons, 'Slow to promote.');
+        assert.equal(first.role, 'Pipeline Technician');
+        assert.equal(first.location, 'Edmonton, AB');
+        assert.equal(first.tenure, null);
+        assert.equal(second.employment_status, 'former');
+        assert.equal(second.tenure, 'more than 1 year');
+    });
+
+    it('reads sub-ratings from title, data-rating and visible text', async () => {
+        const [first] = await parse('glassdoor_reviews_div.html');
+        assert.equal(first.rating_work_life, 4);
+        assert.equal(first.rating_compensation, 4);
+        assert.equal(first.rating_career, 3);
+        assert.equal(first.rating_culture, null);
+        assert.equal(first.recommend, 'positive');
+        assert.equal(first.ceo_approval, 'negative');
+        assert.equal(first.business_outlook, null);
+    });
+
+    it('ignores utility classes that only look like indicator icons', async () => {
+        const [, second] = await parse('glassdoor_reviews_div.html');
+        assert.deepEqual([second.recommend, second.ceo_approval, second.business_outlook], [null, null, null]);
+    });
+});
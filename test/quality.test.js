@@ -0,0 +1,26 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { buildQualityReport } = require('../scraper/quality');
+
+const review = (company, id) => ({ company, review_id: id, rating: 4, date: '2025-06-01', pros: 'Good', cons: 'Bad' });
+const quarantined = (company, id) => ({ quarantinedAt: '2025-06-02T00:00:00.000Z', reasons: ['date: not a YYYY-MM-DD date'], record: { company, review_id: id } });
+
+describe('quality report', () => {
+    it('counts a review quarantined again by a resumed run once', () => {
+        const records = Array.from({ length: 9 }, (_, i) => review('Enbridge', `RVW${i}`));
+        const quarantine = [quarantined('Enbridge', 'RVW90'), quarantined('Enbridge', 'RVW90'), quarantined('Enbridge', 'RVW90')];
+        const report = buildQualityReport(records, quarantine, { companies: ['Enbridge'], minReviews: 1 });
+
+        assert.equal(report.totals.quarantined, 1);
+        assert.equal(report.companies[0].quarantined, 1);
+        assert.ok(!report.companies[0].flags.includes('high_quarantine'));
+    });
+
+    it('still flags companies with many distinct quarantined reviews', () => {
+        const quarantine = ['RVW1', 'RVW2'].map(id => quarantined('Enbridge', id));
+        const report = buildQualityReport([review('Enbridge', 'RVW3')], quarantine, { companies: ['Enbridge'], minReviews: 1 });
+        assert.equal(report.companies[0].quarantined, 2);
+        assert.ok(report.companies[0].flags.includes('high_quarantine'));
+    });
+});
@@ -0,0 +1,48 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { replayFiles, listDumps, savedFromComment, savedFromUrl } = require('../scraper/replay');
+const { configureLogger } = require('../scraper/logger');
+const { needsBrowser, readFixturePage, tempDir } = require('./helpers');
+
+const REVIEWS_URL = 'https://www.glassdoor.ca/Reviews/Suncor-Energy-Reviews-E14826_P2.htm?sort.sortType=RD';
+
+describe('saved page marker', () => {
+    it('reads back the URL a page was saved from', () => {
+        const comment = savedFromComment(REVIEWS_URL);
+        assert.equal(comment, `<!-- saved from url=(0085)${REVIEWS_URL} -->\n`);
+        assert.equal(savedFromUrl(`${comment}<!DOCTYPE html><html></html>`), REVIEWS_URL);
+        assert.equal(savedFromUrl('<!DOCTYPE html><html></html>'), null);
+    });
+});
+
+describe('offline replay', { skip: needsBrowser }, () => {
+    let dir;
+    let cleanup;
+    before(() => {
+        configureLogger({ level: 'silent' });
+        ({ dir, cleanup } = tempDir('replay'));
+        fs.writeFileSync(path.join(dir, 'debug_SuncorEnergy_p2.html'), savedFromComment(REVIEWS_URL) + readFixturePage('glassdoor_reviews_li.html'));
+        // Saved before dumps carried their URL
+        fs.writeFileSync(path.join(dir, 'debug_Enbridge_p1.html'), readFixturePage('glassdoor_reviews_div.html'));
+    });
+    after(() => {
+        cleanup();
+        configureLogger({ level: 'info' });
+    });
+
+    it('gives replayed reviews the employer their page was saved from, or the known one', async () => {
+        const reviews = await replayFiles(listDumps(dir), {
+            companies: ['Suncor Energy', 'Enbridge'],
+            employers: { 'Enbridge': { employerId: '10294', url: 'https://www.glassdoor.ca/Reviews/Enbridge-Reviews-E10294.htm' } }
+        });
+        assert.deepEqual(reviews.map(r => [r.company, r.review_id, r.employer_id, r.employer_url]), [
+            ['Enbridge', 'RVW80011122', '10294', 'https://www.glassdoor.ca/Reviews/Enbridge-Reviews-E10294.htm'],
+            ['Enbridge', 'RVW80011123', '10294', 'https://www.glassdoor.ca/Reviews/Enbridge-Reviews-E10294.htm'],
+            ...['RVW91234567', 'RVW91234568', 'RVW91234569', 'RVW91234570']
+                .map(id => ['Suncor Energy', id, '14826', 'https://www.glassdoor.ca/Reviews/Suncor-Energy-Reviews-E14826.htm'])
+        ]);
+    });
+});
@@ -0,0 +1,52 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { employerIdFromUrl, nameSimilarity, scoreCandidates, chooseCandidate } = require('../scraper/resolver');
+
+const candidate = (name, score) => ({ name, href: `/Reviews/${name}-Reviews-E1.htm`, employerId: '1', score });
+
+describe('company resolution', () => {
+    it('reads the employer ID from reviews and overview URLs', () => {
+        assert.equal(employerIdFromUrl('https://www.glassdoor.ca/Reviews/Enbridge-Reviews-E10294_P2.htm'), '10294');
+        assert.equal(employerIdFromUrl('/Overview/Working-at-Enbridge-EI_IE10294.11,19.htm'), '10294');
+        assert.equal(employerIdFromUrl('/Reviews/index.htm?q=Enbridge'), null);
+    });
+
+    it('compares names on their tokens, ignoring case, punctuation and legal suffixes', () => {
+        assert.equal(nameSimilarity('Enbridge Inc.', 'ENBRIDGE'), 1);
+        assert.equal(nameSimilarity('Peyto Exploration & Development', 'Peyto Exploration and Development Corp'), 1);
+        assert.equal(nameSimilarity('Canadian Natural Resources', 'Canadian Tire'), 0.4);
+        assert.equal(nameSimilarity('Suncor Energy', 'Suncor Energy Services'), 0.8);
+        assert.equal(nameSimilarity('The Company', 'Enbridge'), 0);
+    });
+
+    it('merges links to the same employer and discounts links without an ID', () => {
+        const candidates = scoreCandidates('Suncor Energy', [
+            { text: 'Suncor Energy reviews', href: '/Reviews/Suncor-Energy-Reviews-E14826.htm' },
+            { text: 'Suncor Energy', href: '/Overview/Working-at-Suncor-Energy-EI_IE14826.11,24.htm' },
+            { text: 'Suncor Energy', href: '/Reviews/index.htm?q=Suncor' },
+            { text: 'Imperial Oil', href: '/Reviews/Imperial-Oil-Reviews-E2345.htm' }
+        ]);
+        assert.deepEqual(candidates.map(c => [c.name, c.employerId, c.score]), [
+            ['Suncor Energy', '14826', 1],
+            ['Suncor Energy', null, 0.5]
+        ]);
+    });
+
+    it('is only confident above minConfidence and with a clear margin over the runner-up', () => {
+        assert.deepEqual(chooseCandidate([]), { best: null, confident: false, reason: 'no matching results' });
+
+        const low = chooseCandidate([candidate('Cenovus', 0.75)]);
+        assert.equal(low.confident, false);
+        assert.equal(low.reason, 'best match "Cenovus" scored 0.75 (< 0.8)');
+        assert.equal(chooseCandidate([candidate('Cenovus', 0.75)], { minConfidence: 0.75 }).confident, true);
+
+        const tied = chooseCandidate([candidate('Cenovus Energy', 1), candidate('Cenovus', 0.97)]);
+        assert.equal(tied.confident, false);
+        assert.match(tied.reason, /^ambiguous: "Cenovus Energy" and "Cenovus" both scored ~1$/);
+
+        assert.equal(chooseCandidate([candidate('Cenovus Energy', 1), candidate('Cenovus', 0.8)], { margin: 0.25 }).confident, false);
+        assert.equal(chooseCandidate([candidate('Cenovus Energy', 1), candidate('Cenovus', 0.75)], { margin: 0.25 }).confident, true);
+        assert.equal(chooseCandidate([candidate('Suncor Energy', 1), candidate('Suncor Energy Services', 0.8)]).confident, true);
+    });
+});
@@ -0,0 +1,38 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { normalizeReview, partitionReviews } = require('../scraper/schema');
+const { toCsv } = require('../scraper/export');
+const { scoreReview } = require('../scraper/sentiment');
+
+const card = { company: 'Enbridge', review_id: 'RVW1', rating: '4.0', date: 'Sep 30, 2025', pros: 'Flexible hours.', cons: '' };
+
+describe('review schema', () => {
+    it('null-fills missing core fields and leaves enrichment fields out', () => {
+        const record = normalizeReview(card);
+        assert.equal(record.rating, 4);
+        assert.equal(record.date, '2025-09-30');
+        assert.equal(record.cons, null);
+        assert.equal(record.advice, null);
+        assert.equal(record.recommend, null);
+        for (const field of ['body', 'sentiment_net', 'tokens_pros', 'language', 'sentiment_lexicon']) {
+            assert.equal(field in record, false, field);
+        }
+    });
+
+    it('keeps enrichment fields that were computed, even as null', () => {
+        const record = normalizeReview({ ...card, body: null, sentiment_body: null, tokens_body: 0 });
+        assert.equal(record.body, null);
+        assert.equal(record.sentiment_body, null);
+        assert.equal(record.tokens_body, 0);
+        assert.equal('sentiment_net' in record, false);
+    });
+
+    it('exports enrichment columns only when a record carries them', () => {
+        const { valid } = partitionReviews([card]);
+        const header = (records) => toCsv(records).split('\r\n')[0].split(',');
+        assert.equal(header(valid).includes('sentiment_net'), false);
+        assert.equal(header(valid).includes('body'), false);
+        assert.equal(header(valid.map(r => scoreReview(r))).includes('sentiment_net'), true);
+    });
+});
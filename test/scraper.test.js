@@ -0,0 +1,60 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+
+const { createScraper } = require('../scraper/scraper');
+const { memorySink } = require('../scraper/sinks');
+const { startMockServer } = require('../mock/server');
+const { needsBrowser, tempDir } = require('./helpers');
+
+const MOCK_CONFIG = path.join(__dirname, '..', 'mock', 'fixtures', 'config.json');
+
+describe('scraper library', { skip: needsBrowser, timeout: 600000 }, () => {
+    let mock;
+    let dir;
+    let cleanup;
+
+    before(async () => {
+        mock = await startMockServer({ site: 'glassdoor' });
+        ({ dir, cleanup } = tempDir('scraper-lib'));
+    });
+    after(async () => {
+        if (cleanup) cleanup();
+        if (mock) await mock.close();
+    });
+
+    // Everything in memory: no checkpoint, quarantine, report, manifest, cache or debug files
+    const scraperFor = (name, options) => createScraper({
+        config: MOCK_CONFIG,
+        baseUrl: mock.url,
+        companies: ['Enbridge'],
+        authDir: path.join(dir, name),
+        logLevel: 'silent',
+        stateFile: null,
+        quarantineFile: null,
+        qualityReport: null,
+        manifestDir: null,
+        employerCache: null,
+        debugDir: null,
+        ...options
+    });
+
+    for (const fresh of [true, false]) {
+        it(`keeps the run going when scrapeCompany() follows run() (fresh: ${fresh})`, async () => {
+            const sink = memorySink();
+            const scraper = scraperFor(`fresh-${fresh}`, { sinks: [sink], fresh });
+
+            const outcome = await scraper.run();
+            assert.equal(outcome.status, 'ok');
+            assert.deepEqual(sink.records().map(r => r.review_id), ['RVW400001', 'RVW400002']);
+
+            try {
+                const entry = await scraper.scrapeCompany('Enbridge');
+                assert.equal(entry.status, 'skipped');
+                assert.deepEqual(sink.records().map(r => r.review_id), ['RVW400001', 'RVW400002']);
+            } finally {
+                await scraper.close();
+            }
+        });
+    }
+});
@@ -0,0 +1,56 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { SELECTORS, selectorChain, parserSelectors, locate } = require('../scraper/selectors');
+const { needsBrowser, openPage, readFixturePage } = require('./helpers');
+
+describe('selector registry', () => {
+    it('gives every element a page and a non-empty chain', () => {
+        for (const [name, entry] of Object.entries(SELECTORS)) {
+            assert.ok(entry.page, `${name} has no page`);
+            assert.ok(Array.isArray(entry.chain) && entry.chain.length > 0, `${name} has no chain`);
+        }
+    });
+
+    it('looks chains up by name, in another registry when given one', () => {
+        assert.deepEqual(selectorChain('ratingNumber'), ['.ratingNumber', 'span[class*="rating"]']);
+        assert.deepEqual(selectorChain('card', { card: { chain: ['.card'] } }), ['.card']);
+        assert.throws(() => selectorChain('noSuchElement'), /Unknown selector "noSuchElement"/);
+    });
+
+    it('ships only the parser chains', () => {
+        assert.deepEqual(parserSelectors(), { reviewLink: SELECTORS.reviewLink.chain, ratingNumber: SELECTORS.ratingNumber.chain });
+    });
+});
+
+describe('locate() on saved pages', { skip: needsBrowser }, () => {
+    let page;
+    let close;
+
+    before(async () => {
+        ({ page, close } = await openPage());
+    });
+    after(() => close && close());
+
+    it('uses the first selector in the chain that matches', async () => {
+        await page.setContent(readFixturePage('glassdoor_reviews_li.html'));
+        const next = await locate(page, 'nextButton');
+        assert.equal(await next.count(), 1);
+        assert.equal(await next.getAttribute('data-test'), 'pagination-next');
+
+        await page.setContent('<div class="pagination"><a class="nextButton" href="/p2">Next</a></div>');
+        const fallback = await locate(page, 'nextButton');
+        assert.equal(await fallback.count(), 1);
+        assert.equal(await fallback.getAttribute('href'), '/p2');
+    });
+
+    it('still returns a locator, matching nothing, when no selector matches', async () => {
+        await page.setContent(readFixturePage('glassdoor_reviews_div.html'));
+        assert.equal(await (await locate(page, 'loginWall')).count(), 0);
+    });
+
+    it('matches every selector in the chain for multiple elements', async () => {
+        await page.setContent('<div class="review-details_continueReading">More</div><button class="showMore">More</button>');
+        assert.equal(await (await locate(page, 'continueReading')).count(), 2);
+    });
+});
@@ -0,0 +1,96 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { loadLexicon, tokenize, detectLanguage, scoreReview } = require('../scraper/sentiment');
+const { tempDir } = require('./helpers');
+
+const round = (value) => Number(value.toFixed(4));
+
+describe('sentiment scoring', () => {
+    let dir;
+    let cleanup;
+    let lexicon;
+    before(() => {
+        ({ dir, cleanup } = tempDir('sentiment'));
+        const file = path.join(dir, 'test-lexicon.json');
+        fs.writeFileSync(file, JSON.stringify({
+            version: 2,
+            language: 'en',
+            words: { good: 2, bad: -2, work: 0.5, 'work life balance': 3 },
+            intensifiers: { very: 1.5 }
+        }));
+        lexicon = loadLexicon(file);
+    });
+    after(() => cleanup());
+
+    // Score of a single pros text
+    const pros = (text) => scoreReview({ pros: text }, lexicon).sentiment_pros;
+
+    it('tokenizes on words, dropping apostrophes and keeping hyphenated words', () => {
+        assert.deepEqual(tokenize("Don't over-promise, it's GREAT!"), ['dont', 'over-promise', 'its', 'great']);
+        assert.deepEqual(tokenize(null), []);
+    });
+
+    it('flips words within three tokens of a negator', () => {
+        assert.equal(pros('good'), 2);
+        assert.equal(pros('not good'), round(-2 / Math.sqrt(2)));
+        assert.equal(pros('not at all good'), round(-2 / Math.sqrt(4)));
+        assert.equal(pros('not one two three good'), round(2 / Math.sqrt(5)));
+    });
+
+    it('scales the next scored word by an intensifier, also under negation', () => {
+        assert.equal(pros('very good'), round(3 / Math.sqrt(2)));
+        assert.equal(pros('not very good'), round(-3 / Math.sqrt(3)));
+        assert.equal(pros('very nice good'), round(2 / Math.sqrt(3)));
+    });
+
+    it('matches the longest phrase before its words', () => {
+        assert.equal(pros('good work life balance'), round(5 / Math.sqrt(4)));
+        assert.equal(pros('good work'), round(2.5 / Math.sqrt(2)));
+    });
+
+    it('combines the fields into sentiment_net and counts tokens', () => {
+        const record = scoreReview({ review_id: 'RVW1', title: 'Good', pros: 'very good', cons: 'bad' }, lexicon);
+        assert.deepEqual(record, {
+            review_id: 'RVW1',
+            title: 'Good',
+            pros: 'very good',
+            cons: 'bad',
+            sentiment_title: 2,
+            tokens_title: 1,
+            sentiment_pros: round(3 / Math.sqrt(2)),
+            tokens_pros: 2,
+            sentiment_cons: -2,
+            tokens_cons: 1,
+            sentiment_advice: null,
+            tokens_advice: 0,
+            sentiment_body: null,
+            tokens_body: 0,
+            sentiment_net: round(3 / Math.sqrt(4)),
+            language: 'und',
+            sentiment_lexicon: 'test-lexicon@2'
+        });
+    });
+
+    it('detects text in another language and leaves its scores null', () => {
+        assert.equal(detectLanguage(tokenize('The pay is good and the people are kind')), 'en');
+        assert.equal(detectLanguage(tokenize('Le salaire est bon et les collègues sont très gentils')), 'fr');
+        assert.equal(detectLanguage(tokenize('good pay')), 'und');
+
+        const record = scoreReview({ pros: 'Le salaire est bon et les collègues sont gentils', cons: 'Pas de télétravail' }, lexicon);
+        assert.equal(record.language, 'fr');
+        assert.deepEqual([record.sentiment_pros, record.sentiment_cons, record.sentiment_net], [null, null, null]);
+        assert.deepEqual([record.tokens_pros, record.tokens_cons], [9, 3]);
+    });
+
+    it('reads TSV word lists and names them after the file', () => {
+        const file = path.join(dir, 'afinn.tsv');
+        fs.writeFileSync(file, 'good\t3\nbad\t-3\nnot a score line\n');
+        const tsv = loadLexicon(file);
+        assert.equal(tsv.id, 'afinn');
+        assert.equal(scoreReview({ pros: 'good' }, tsv).sentiment_pros, 3);
+        assert.equal(scoreReview({ pros: 'never bad' }, tsv).sentiment_pros, round(3 / Math.sqrt(2)));
+    });
+});
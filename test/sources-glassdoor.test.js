@@ -0,0 +1,123 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const glassdoor = require('../scraper/sources/glassdoor');
+const { scoreCandidates, chooseCandidate } = require('../scraper/resolver');
+const { readPageState } = require('../scraper/pagestate');
+const { createLogger } = require('../scraper/logger');
+const { startMockServer } = require('../mock/server');
+const { needsBrowser, openPage } = require('./helpers');
+
+describe('Glassdoor adapter', () => {
+    it('sorts a reviews URL newest first', () => {
+        const sorted = new URL(glassdoor.sortByMostRecent('https://www.glassdoor.ca/Reviews/Enbridge-Reviews-E10294.htm?filter.iso3Language=eng'));
+        assert.equal(sorted.searchParams.get('sort.sortType'), 'RD');
+        assert.equal(sorted.searchParams.get('sort.ascending'), 'false');
+        assert.equal(sorted.searchParams.get('filter.iso3Language'), 'eng');
+    });
+});
+
+describe('Glassdoor adapter on the mock site', { skip: needsBrowser }, () => {
+    let mock;
+    let page;
+    let close;
+    let ctx;
+
+    before(async () => {
+        mock = await startMockServer({ site: 'glassdoor' });
+        ({ page, close } = await openPage());
+        ctx = {
+            baseUrl: mock.url,
+            checkPage: (response = null) => readPageState(page, response, glassdoor.selectors),
+            log: createLogger({ level: 'silent' })
+        };
+    });
+    after(async () => {
+        if (close) await close();
+        if (mock) await mock.close();
+    });
+
+    const resolve = async (companyName) => {
+        const search = await glassdoor.searchCompany(page, companyName, ctx);
+        const candidates = scoreCandidates(companyName, search.links, glassdoor.employerIdFromUrl);
+        return { search, candidates, ...chooseCandidate(candidates) };
+    };
+
+    it('reads each result name without its review count and picks the exact match', async () => {
+        const { search, candidates, best, confident } = await resolve('Suncor Energy');
+        assert.deepEqual(search.links.filter(l => glassdoor.employerIdFromUrl(l.href)).map(l => l.text),
+            ['Suncor Energy', 'Suncor Energy Services', 'Petro-Canada', 'Cenovus Energy', 'Cenovus Energy']);
+        assert.deepEqual(candidates.map(c => [c.name, c.employerId, c.score]), [
+            ['Suncor Energy', '14826', 1],
+            ['Suncor Energy Services', '90210', 0.8],
+            ['Cenovus Energy', '3567', 0.5],
+            ['Cenovus Energy', '1195442', 0.5]
+        ]);
+        assert.equal(best.employerId, '14826');
+        assert.equal(confident, true);
+    });
+
+    it('refuses two listings that match equally well', async () => {
+        const { candidates, confident, reason } = await resolve('Cenovus Energy');
+        assert.deepEqual(candidates.slice(0, 2).map(c => [c.employerId, c.score]), [['3567', 1], ['1195442', 1]]);
+        assert.equal(confident, false);
+        assert.match(reason, /^ambiguous/);
+    });
+
+    it('reports an empty search instead of candidates', async () => {
+        const { search, candidates, best } = await resolve('Imperial Oil');
+        assert.deepEqual(candidates, []);
+        assert.equal(search.state.state, 'empty');
+        assert.equal(best, null);
+    });
+
+    it('opens the reviews tab, expands cut-off text and reads every page up to the disabled Next button', async () => {
+        const result = { name: 'Suncor Energy', href: '/Overview/Working-at-Suncor-Energy-EI_IE14826.11,24.htm', employerId: '14826' };
+        await glassdoor.openReviews(page, result, { ...ctx, employerId: result.employerId });
+        assert.equal(glassdoor.canonicalReviewsUrl(page.url()), `${mock.url}/Reviews/Suncor-Energy-Reviews-E14826.htm`);
+        assert.equal(glassdoor.employerIdFromUrl(page.url()), '14826');
+
+        const pages = [];
+        let next;
+        do {
+            await glassdoor.expandReviews(page);
+            pages.push(await glassdoor.extractReviews(page));
+            next = await glassdoor.nextPage(page, ctx);
+        } while (!next.stopReason);
+
+        assert.equal(next.stopReason, 'end_of_reviews');
+        assert.deepEqual(pages.map(reviews => reviews.map(r => r.review_id)), [['RVW100001', 'RVW100002'], ['RVW100003', 'RVW100004'], ['RVW100005']]);
+        // Every cut-off pros/cons expanded, not just every other one
+        const fixture = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'mock', 'fixtures', 'glassdoor.json'), 'utf8'));
+        const suncor = fixture.companies.find(c => c.employerId === '14826').pages.flat();
+        assert.deepEqual(pages.flat().map(r => [r.pros, r.cons]), suncor.map(r => [r.pros, r.cons]));
+
+        assert.deepEqual(pages[0][0], {
+            rating: '4.0',
+            date: 'Nov 28, 2025',
+            title: 'Great place to grow',
+            job_title: 'Current Employee, more than 3 years - Process Engineer in Calgary, AB',
+            pros: 'Good pay, strong safety culture and a pension that is hard to beat anywhere in the industry.',
+            cons: 'Long turnarounds and a lot of red tape.',
+            advice: 'Listen to the people in the field.',
+            review_id: 'RVW100001',
+            review_url: '/Reviews/Employee-Review-Suncor-Energy-RVW100001.htm',
+            rating_work_life: 3,
+            rating_culture: 4,
+            rating_diversity: null,
+            rating_career: 4,
+            rating_compensation: null,
+            rating_senior_management: null,
+            recommend: 'positive',
+            ceo_approval: 'neutral',
+            business_outlook: 'positive',
+            employment_status: 'current',
+            tenure: 'more than 3 years',
+            role: 'Process Engineer',
+            location: 'Calgary, AB',
+            parse_strategy: 'li'
+        });
+    });
+});
@@ -0,0 +1,115 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const indeed = require('../scraper/sources/indeed');
+const { scoreCandidates, chooseCandidate } = require('../scraper/resolver');
+const { readPageState } = require('../scraper/pagestate');
+const { createLogger } = require('../scraper/logger');
+const { startMockServer } = require('../mock/server');
+const { needsBrowser, openPage } = require('./helpers');
+
+describe('Indeed adapter', () => {
+    it('reads the company slug from review and company URLs', () => {
+        assert.equal(indeed.employerIdFromUrl('https://ca.indeed.com/cmp/Suncor-Energy/reviews?start=20'), 'Suncor-Energy');
+        assert.equal(indeed.employerIdFromUrl('/cmp/Enbridge'), 'Enbridge');
+        assert.equal(indeed.employerIdFromUrl('/companies/search?q=Enbridge'), null);
+        assert.equal(indeed.canonicalReviewsUrl('https://ca.indeed.com/cmp/Enbridge/reviews?start=20&sort=date'), 'https://ca.indeed.com/cmp/Enbridge/reviews');
+    });
+
+    it('sorts a reviews URL by date', () => {
+        assert.equal(indeed.sortByMostRecent('https://ca.indeed.com/cmp/Enbridge/reviews?start=20'), 'https://ca.indeed.com/cmp/Enbridge/reviews?start=20&sort=date');
+    });
+});
+
+describe('Indeed adapter on the mock site', { skip: needsBrowser }, () => {
+    let mock;
+    let page;
+    let close;
+    let ctx;
+
+    before(async () => {
+        mock = await startMockServer({ site: 'indeed' });
+        ({ page, close } = await openPage());
+        ctx = {
+            baseUrl: mock.url,
+            checkPage: (response = null) => readPageState(page, response, indeed.selectors),
+            log: createLogger({ level: 'silent' })
+        };
+    });
+    after(async () => {
+        if (close) await close();
+        if (mock) await mock.close();
+    });
+
+    const resolve = async (companyName) => {
+        const search = await indeed.searchCompany(page, companyName, ctx);
+        const candidates = scoreCandidates(companyName, search.links, indeed.employerIdFromUrl);
+        return { search, candidates, ...chooseCandidate(candidates) };
+    };
+
+    it('scores the search results and picks the exact match', async () => {
+        const { candidates, best, confident } = await resolve('Suncor Energy');
+        assert.deepEqual(candidates.map(c => [c.name, c.employerId, c.score]), [
+            ['Suncor Energy', 'Suncor-Energy', 1],
+            ['Suncor Energy Services', 'Suncor-Energy-Services', 0.8]
+        ]);
+        assert.equal(best.employerId, 'Suncor-Energy');
+        assert.equal(confident, true);
+    });
+
+    it('reports an empty search instead of candidates', async () => {
+        const { search, candidates, best } = await resolve('Imperial Oil');
+        assert.deepEqual(candidates, []);
+        assert.equal(search.state.state, 'empty');
+        assert.equal(best, null);
+    });
+
+    it('opens the reviews listing and follows Next until the link is gone', async () => {
+        const result = { name: 'Suncor Energy', href: '/cmp/Suncor-Energy', employerId: 'Suncor-Energy' };
+        await indeed.openReviews(page, result, { ...ctx, employerId: result.employerId });
+        assert.equal(page.url(), `${mock.url}/cmp/Suncor-Energy/reviews`);
+
+        const pages = [];
+        let next;
+        do {
+            await indeed.expandReviews(page);
+            pages.push(await indeed.extractReviews(page));
+            next = await indeed.nextPage(page, ctx);
+        } while (!next.stopReason);
+
+        assert.equal(next.stopReason, 'end_of_reviews');
+        assert.equal(indeed.canonicalReviewsUrl(page.url()), `${mock.url}/cmp/Suncor-Energy/reviews`);
+        assert.deepEqual(pages.map(reviews => reviews.map(r => r.review_id)), [
+            ['indeed-5a1f0c2e9b7d4e11', 'indeed-77c3e9a0d5f24b08'],
+            ['indeed-0b9d61f4c8e3a725']
+        ]);
+        assert.deepEqual(pages[0][0], {
+            rating: 4,
+            title: 'Good pay, long shifts',
+            body: 'Camp rotations are tough on family life but the pay and benefits are excellent. Safety is taken seriously on site.',
+            pros: 'Pay, benefits, pension',
+            cons: 'Long shifts and time away from home',
+            advice: null,
+            review_id: 'indeed-5a1f0c2e9b7d4e11',
+            review_url: '/cmp/Suncor-Energy/reviews/good-pay-long-shifts?id=5a1f0c2e9b7d4e11',
+            date: 'November 20, 2025',
+            job_title: 'Heavy Equipment Operator (Current Employee) - Fort McMurray, AB',
+            employment_status: 'current',
+            role: 'Heavy Equipment Operator',
+            location: 'Fort McMurray, AB',
+            rating_work_life: 2,
+            rating_compensation: 5,
+            rating_career: null,
+            rating_senior_management: 3,
+            rating_culture: null,
+            parse_strategy: 'card'
+        });
+
+        const [lastPage] = pages[1];
+        assert.equal(lastPage.rating, 1);
+        assert.equal(lastPage.employment_status, 'former');
+        assert.equal(lastPage.location, 'Edmonton, AB');
+        assert.equal(lastPage.pros, null);
+        assert.equal(lastPage.cons, 'Job security');
+    });
+});
@@ -0,0 +1,79 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { loadData, saveData, reviewId } = require('../scraper/store');
+const { tempDir } = require('./helpers');
+
+const review = (id, extra = {}) => ({ company: 'Enbridge', review_id: id, rating: 4, date: '2025-06-01', ...extra });
+
+describe('review store', () => {
+    let dir;
+    let cleanup;
+    before(() => {
+        ({ dir, cleanup } = tempDir('store'));
+    });
+    after(() => cleanup());
+
+    it('keeps the site\'s review ID and hashes the content when there is none', () => {
+        assert.equal(reviewId(review('RVW1')), 'RVW1');
+
+        const card = { company: 'Enbridge', date: 'Sep 30, 2025', title: 'Good  work life balance', pros: 'Flexible hours.' };
+        const id = reviewId(card);
+        assert.match(id, /^h[0-9a-f]{16}$/);
+        // Same review on another page or run: date format, case and spacing do not change the ID
+        assert.equal(reviewId({ ...card, date: '2025-09-30', title: 'good work life BALANCE ', rating: 5 }), id);
+        assert.equal(reviewId({ ...card, source: 'glassdoor' }), id);
+        assert.notEqual(reviewId({ ...card, source: 'indeed' }), id);
+        assert.notEqual(reviewId({ ...card, pros: 'Flexible hours and pay.' }), id);
+    });
+
+    it('counts a review seen again on a later page as a duplicate', () => {
+        const file = path.join(dir, 'pages.jsonl');
+        const card = { company: 'Enbridge', date: 'Sep 30, 2025', title: 'Good work life balance', pros: 'Flexible hours.' };
+        assert.equal(saveData(file, [review('RVW1'), card]).added, 2);
+        const again = saveData(file, [card, review('RVW1'), review('RVW2')]);
+        assert.deepEqual([again.added, again.duplicates], [1, 2]);
+        assert.deepEqual(loadData(file).map(r => r.review_id), ['RVW1', reviewId(card), 'RVW2']);
+    });
+
+    it('re-appends a review only when its content changed and reads back the latest version', () => {
+        const file = path.join(dir, 'upsert.jsonl');
+        saveData(file, [review('RVW1'), review('RVW2')]);
+        assert.deepEqual(saveData(file, [review('RVW1')]), { added: 0, duplicates: 1, newRecords: [] });
+        assert.equal(fs.readFileSync(file, 'utf8').split('\n').filter(Boolean).length, 2);
+
+        assert.deepEqual(saveData(file, [review('RVW1', { rating: 2 })]), { added: 0, duplicates: 1, newRecords: [] });
+        assert.equal(fs.readFileSync(file, 'utf8').split('\n').filter(Boolean).length, 3);
+        assert.deepEqual(loadData(file).map(r => [r.review_id, r.rating]), [['RVW2', 4], ['RVW1', 2]]);
+    });
+
+    it('skips a truncated last line and starts the next write on a fresh line', () => {
+        const file = path.join(dir, 'crashed.jsonl');
+        const line = JSON.stringify(review('RVW1'));
+        fs.writeFileSync(file, `${line}\n${line.slice(0, 20)}`);
+        assert.deepEqual(loadData(file).map(r => r.review_id), ['RVW1']);
+
+        assert.equal(saveData(file, [review('RVW1'), review('RVW2')]).added, 1);
+        const lines = fs.readFileSync(file, 'utf8').split('\n');
+        assert.deepEqual(lines, [line, line.slice(0, 20), JSON.stringify(review('RVW2')), '']);
+        assert.deepEqual(loadData(file).map(r => r.review_id), ['RVW1', 'RVW2']);
+    });
+
+    it('converts a legacy JSON array store to JSONL before appending to it', () => {
+        const file = path.join(dir, 'legacy.json');
+        fs.writeFileSync(file, JSON.stringify([review('RVW1'), review('RVW2')], null, 2));
+
+        assert.deepEqual(saveData(file, [review('RVW2'), review('RVW3')]), { added: 1, duplicates: 1, newRecords: [review('RVW3')] });
+        assert.deepEqual(loadData(file).map(r => r.review_id), ['RVW1', 'RVW2', 'RVW3']);
+        assert.equal(fs.readFileSync(file, 'utf8').split('\n').filter(Boolean).length, 3);
+    });
+
+    it('refuses a store that looks like a JSON array but does not parse', () => {
+        const file = path.join(dir, 'broken.json');
+        fs.writeFileSync(file, `${JSON.stringify([review('RVW1')])}\n${JSON.stringify(review('RVW2'))}\n`);
+        assert.throws(() => loadData(file), /broken\.json starts like a JSON array but does not parse/);
+        assert.throws(() => saveData(file, [review('RVW3')]), /does not parse/);
+    });
+});